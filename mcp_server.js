@@ -7,9 +7,20 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 // Import services
 import { ConfigService } from './services/configService.js';
 import { LoggerService } from './services/loggerService.js';
-import { FileService } from './services/fileService.js';
-import { GitService } from './services/gitService.js';
+import { TrashService } from './services/trashService.js';
+import { WorkspaceService } from './services/workspaceService.js';
+import { PolicyService } from './services/policyService.js';
+import { PermissionService } from './services/permissionService.js';
 import { ToolService } from './services/toolService.js';
+import { ResourceService } from './services/resourceService.js';
+import { HttpTransportService } from './services/httpTransportService.js';
+import { AuthService } from './services/authService.js';
+
+// How long shutdown may take before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Hosts that only accept connections from this machine
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
 
 // Initialize and start the MCP server
 async function startMcpServer() {
@@ -24,40 +35,121 @@ async function startMcpServer() {
     
     logger('Starting MCP server...');
     
-    // Initialize file service
-    const fileService = new FileService(configService.get('baseDirectory'), logger);
+    // Initialize trash service and purge expired items
+    const trashService = new TrashService(configService.get('trashDirectory'), logger, {
+      retentionDays: configService.get('trashRetentionDays')
+    });
+    await trashService.purgeExpired();
     
-    // Ensure base directory exists
-    const dirExists = await fileService.ensureDirectoryExists(configService.get('baseDirectory'));
-    if (!dirExists) {
-      logger('Failed to ensure base directory exists. Exiting.');
-      process.exit(1);
-    }
+    // Initialize the policy for which directories may become base directories
+    const basePolicy = configService.get('basePolicy');
+    const policyService = new PolicyService(logger, {
+      allowedParents: basePolicy.allowedParents,
+      deniedPaths: basePolicy.deniedPaths,
+      createMissing: basePolicy.createMissing
+    });
     
-    logger(`Using BASE_DIRECTORY: ${fileService.getBaseDirectory()}`);
+    // Initialize the permission profile and path rules
+    const permissions = configService.get('permissions');
+    const permissionService = new PermissionService(logger, {
+      profile: permissions.profile,
+      pathRules: permissions.pathRules
+    });
+    logger(`Using permission profile: ${permissionService.profile} (${permissions.pathRules.length} path rules)`);
     
-    // Initialize git service
-    const gitService = new GitService(configService.get('baseDirectory'), logger);
+    const transportConfig = configService.get('transport');
+    if (!['stdio', 'http'].includes(transportConfig.type)) {
+      throw new Error(`Unknown transport: ${transportConfig.type}. Expected stdio or http`);
+    }
     
-    // Create server instance
-    const server = new McpServer({
-      name: configService.get('serverName'),
-      version: configService.get('serverVersion'),
-      capabilities: {
-        resources: {},
-        tools: {},
-        authentication: {
-          supported: false
-        },
-        fileSystem: {
-          supported: true
-        }
-      },
+    // Initialize API keys for the HTTP transport
+    const authConfig = configService.get('auth');
+    const authService = new AuthService(logger, {
+      apiKeys: authConfig.apiKeys,
+      rootNames: Object.keys(configService.get('roots'))
     });
+    if (transportConfig.type === 'http') {
+      if (authService.isEnabled()) {
+        logger(`HTTP requests need one of ${authService.keys.length} API keys`);
+      } else if (!LOOPBACK_HOSTS.includes(transportConfig.host) && !authConfig.allowUnauthenticated) {
+        throw new Error(`Refusing to listen on ${transportConfig.host} without API_KEYS. Set ALLOW_UNAUTHENTICATED_HTTP=true to allow it`);
+      } else {
+        logger('Warning: HTTP requests are not authenticated; configure API_KEYS to require bearer tokens');
+      }
+    } else if (authService.isEnabled()) {
+      logger('API keys are ignored by the stdio transport');
+    }
+    
+    // Create workspace roots, each with its own file and git services. Every session gets
+    // its own workspace, so set_base_directory in one session does not affect the others.
+    // An API key limited to some roots only sees those roots.
+    const createWorkspace = (auth) => {
+      const allowedRoots = auth?.extra?.roots;
+      const roots = Object.fromEntries(Object.entries(configService.get('roots'))
+        .filter(([name]) => !allowedRoots || allowedRoots.includes(name)));
+      const defaultRoot = roots[configService.get('defaultRoot')] ? configService.get('defaultRoot') : Object.keys(roots)[0];
+      
+      return new WorkspaceService(roots, logger, {
+        defaultRoot,
+        policyService,
+        confined: Boolean(allowedRoots),
+        fileServiceOptions: {
+          trashService,
+          permissionService,
+          confirmDeleteAboveBytes: configService.get('confirmDeleteAboveBytes'),
+          symlinkPolicy: configService.get('symlinkPolicy'),
+          watchOptions: configService.get('watch')
+        },
+        gitServiceOptions: configService.get('git')
+      });
+    };
+    const workspaceService = createWorkspace();
+    
+    // Ensure root directories exist
+    for (const root of workspaceService.listRoots()) {
+      const dirExists = await workspaceService.getFileService(root.name).ensureDirectoryExists(root.path);
+      if (!dirExists) {
+        logger(`Failed to ensure root "${root.name}" exists. Exiting.`);
+        process.exit(1);
+      }
+    }
     
-    // Initialize and register tools
-    const toolService = new ToolService(server, fileService, gitService, logger);
-    toolService.registerAllTools();
+    logger(`Using BASE_DIRECTORY: ${workspaceService.getFileService().getBaseDirectory()}`);
+    
+    // Create a server instance with its tools and resources for one session, limited to the
+    // scope and roots of the API key that opened it
+    const createSession = (auth, sessionWorkspace = createWorkspace(auth)) => {
+      const sessionPermissions = auth ? permissionService.restrictTo(auth.scopes[0]) : permissionService;
+      const server = new McpServer({
+        name: configService.get('serverName'),
+        version: configService.get('serverVersion'),
+        capabilities: {
+          resources: {},
+          tools: {},
+          authentication: {
+            supported: transportConfig.type === 'http' && authService.isEnabled()
+          },
+          fileSystem: {
+            supported: true
+          }
+        },
+      });
+      
+      // Initialize and register tools
+      const toolService = new ToolService(server, sessionWorkspace, logger, sessionPermissions);
+      toolService.registerAllTools();
+      
+      // Expose workspace files as resources, with change subscriptions
+      const resourceService = new ResourceService(server, sessionWorkspace, logger);
+      resourceService.registerAllResources();
+      
+      // Pick up roots declared by the client through the MCP roots capability, unless the key limits its roots
+      if (!auth?.extra?.roots) {
+        sessionWorkspace.registerClientRoots(server);
+      }
+      
+      return { server, close: () => sessionWorkspace.close() };
+    };
     
     // Set up error handlers
     process.on('uncaughtException', (err) => {
@@ -71,19 +163,57 @@ async function startMcpServer() {
     });
     
     // Connect to transport and start server
-    logger('Connecting to transport...');
-    const transport = new StdioServerTransport();
+    logger(`Connecting to ${transportConfig.type} transport...`);
+    let closeTransport;
     
     try {
-      await server.connect(transport);
+      if (transportConfig.type === 'http') {
+        const httpTransportService = new HttpTransportService(createSession, logger, {
+          host: transportConfig.host,
+          port: transportConfig.port,
+          sessionIdleTimeoutMs: transportConfig.sessionIdleTimeoutMs,
+          allowedHosts: transportConfig.allowedHosts,
+          allowedOrigins: transportConfig.allowedOrigins,
+          authService
+        });
+        await httpTransportService.start();
+        closeTransport = () => httpTransportService.close();
+      } else {
+        const session = createSession(undefined, workspaceService);
+        await session.server.connect(new StdioServerTransport());
+        closeTransport = async () => {
+          await session.server.close();
+          session.close();
+        };
+        
+        // Keep the process alive
+        setInterval(() => {}, 60000);
+      }
       logger('Server successfully connected and started');
-      
-      // Keep the process alive
-      setInterval(() => {}, 60000);
     } catch (error) {
       logger(`Error connecting server: ${error.message}`);
       process.exit(1);
     }
+    
+    // Close sessions and stop listening on SIGINT/SIGTERM; a second signal exits at once
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+      if (shuttingDown) process.exit(1);
+      shuttingDown = true;
+      logger(`Received ${signal}, shutting down...`);
+      setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+      
+      try {
+        await closeTransport();
+        logger('Server stopped');
+      } catch (error) {
+        logger(`Error during shutdown: ${error.message}`);
+      }
+      await loggerService.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
   } catch (error) {
     console.error(`Fatal error in startMcpServer: ${error.message}`);
     console.error(error.stack || "No stack trace available");
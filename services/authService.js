@@ -0,0 +1,130 @@
+// services/authService.js
+import crypto from 'crypto';
+import { PERMISSION_PROFILES } from './permissionService.js';
+
+// Authorization header carrying an API key
+const BEARER_PATTERN = /^Bearer\s+(\S+)\s*$/i;
+
+/**
+ * Service checking bearer tokens on HTTP requests against static API keys, each limited
+ * to a permission scope and optionally to a set of workspace roots
+ */
+export class AuthService {
+  /**
+   * Create a new auth service
+   * @param {function} logger - The logger function
+   * @param {Object} options - Auth options
+   * @param {Array<Object>} options.apiKeys - Entries of {name, key or keySha256, scope, roots}
+   * @param {string[]} options.rootNames - Configured root names that keys may be limited to
+   */
+  constructor(logger, { apiKeys = [], rootNames = [] } = {}) {
+    this.logger = logger;
+    this.keys = apiKeys.map((entry, index) => this.parseKey(entry, index, rootNames));
+
+    const names = this.keys.map(key => key.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`API key name "${duplicate}" is used more than once`);
+    }
+  }
+
+  /**
+   * Validate an API key entry. The key itself never appears in error messages.
+   * @param {Object} entry - The configured entry
+   * @param {number} index - Position of the entry, for error messages
+   * @param {string[]} rootNames - Configured root names
+   * @returns {{name: string, scope: string, roots: string[]|null, hash: Buffer}} - The key
+   */
+  parseKey(entry, index, rootNames) {
+    const { name, key, keySha256, scope = 'readonly', roots } = entry || {};
+    if (!name || typeof name !== 'string') {
+      throw new Error(`API key entry ${index + 1} needs a name`);
+    }
+    if (!key === !keySha256) {
+      throw new Error(`API key "${name}" needs exactly one of key or keySha256`);
+    }
+    if (keySha256 && !/^[0-9a-f]{64}$/i.test(keySha256)) {
+      throw new Error(`API key "${name}" has an invalid keySha256: expected 64 hexadecimal characters`);
+    }
+    if (!PERMISSION_PROFILES.includes(scope)) {
+      throw new Error(`API key "${name}" has unknown scope ${scope}. Expected one of: ${PERMISSION_PROFILES.join(', ')}`);
+    }
+    if (roots !== undefined) {
+      if (!Array.isArray(roots) || roots.length === 0) {
+        throw new Error(`API key "${name}" must list at least one root, or omit roots to allow all`);
+      }
+      const unknown = roots.filter(root => !rootNames.includes(root));
+      if (unknown.length > 0) {
+        throw new Error(`API key "${name}" refers to unknown roots: ${unknown.join(', ')}`);
+      }
+    }
+
+    return {
+      name,
+      scope,
+      roots: roots ? [...roots] : null,
+      hash: keySha256 ? Buffer.from(keySha256, 'hex') : this.hashToken(key)
+    };
+  }
+
+  /**
+   * Check whether any API keys are configured
+   * @returns {boolean} - Whether requests must authenticate
+   */
+  isEnabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Hash a token for comparison with the configured keys
+   * @param {string} token - The token
+   * @returns {Buffer} - The SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+  }
+
+  /**
+   * Find the API key presented in a request's Authorization header
+   * @param {http.IncomingMessage} req - The request
+   * @returns {{auth?: Object, reason?: string}} - The SDK AuthInfo for the key, or why the request was rejected
+   */
+  authenticate(req) {
+    const header = req.headers.authorization;
+    if (!header) {
+      return { reason: 'missing bearer token' };
+    }
+
+    const match = BEARER_PATTERN.exec(header);
+    if (!match) {
+      return { reason: 'malformed Authorization header' };
+    }
+
+    // Compare against every key, in constant time, so timing does not reveal how much of a key matched
+    const hash = this.hashToken(match[1]);
+    let key = null;
+    for (const candidate of this.keys) {
+      if (crypto.timingSafeEqual(hash, candidate.hash) && !key) {
+        key = candidate;
+      }
+    }
+    if (!key) {
+      return { reason: `unknown API key (sha256 ${hash.toString('hex').substring(0, 8)}...)` };
+    }
+
+    return {
+      auth: { token: match[1], clientId: key.name, scopes: [key.scope], extra: { roots: key.roots } }
+    };
+  }
+
+  /**
+   * Record a rejected request in the log
+   * @param {http.IncomingMessage} req - The request
+   * @param {string} reason - Why it was rejected
+   */
+  audit(req, reason) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const client = req.headers['user-agent'] ? ` (${req.headers['user-agent']})` : '';
+    this.logger(`Audit: rejected ${req.method} ${pathname} from ${req.socket.remoteAddress}${client}: ${reason}`);
+  }
+}
@@ -1,6 +1,8 @@
 // services/configService.js
+import * as fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -12,15 +14,162 @@ const projectRoot = path.join(__dirname, '..');
  */
 export class ConfigService {
   constructor() {
+    const args = this.parseArguments(process.argv.slice(2));
+    const baseDirectory = process.env.BASE_DIRECTORY || path.join(projectRoot, 'files');
+    
     // Default configuration
     this.config = {
-      baseDirectory: process.env.BASE_DIRECTORY || path.join(projectRoot, 'files'),
+      baseDirectory,
+      roots: {
+        default: baseDirectory,
+        ...this.parseRoots(process.env.WORKSPACE_ROOTS)
+      },
+      defaultRoot: process.env.DEFAULT_ROOT || 'default',
+      basePolicy: {
+        allowedParents: this.parsePathList(process.env.ALLOWED_BASE_PARENTS) || [],
+        deniedPaths: this.parsePathList(process.env.DENIED_BASE_PATHS),
+        createMissing: process.env.ALLOW_CREATE_BASE_DIRECTORY !== 'false'
+      },
+      permissions: {
+        profile: process.env.PERMISSION_PROFILE || 'full',
+        pathRules: this.parsePathRules(process.env.PATH_RULES)
+      },
+      symlinkPolicy: process.env.SYMLINK_POLICY || 'follow',
       logFile: path.join(projectRoot, 'log/mcp_debug.log'),
+      trashDirectory: process.env.TRASH_DIRECTORY || path.join(projectRoot, 'trash'),
+      trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+      confirmDeleteAboveBytes: Number(process.env.CONFIRM_DELETE_ABOVE_BYTES || 100 * 1024 * 1024),
+      watch: {
+        maxEvents: Number(process.env.WATCH_MAX_EVENTS || 1000),
+        debounceMs: Number(process.env.WATCH_DEBOUNCE_MS || 200)
+      },
+      git: {
+        timeoutMs: Number(process.env.GIT_TIMEOUT_MS || 30 * 1000),
+        maxOutputBytes: Number(process.env.GIT_MAX_OUTPUT_BYTES || 10 * 1024 * 1024)
+      },
+      transport: {
+        type: args.transport || process.env.MCP_TRANSPORT || 'stdio',
+        host: args.host || process.env.MCP_HTTP_HOST || '127.0.0.1',
+        port: Number(args.port || process.env.MCP_HTTP_PORT || 3000),
+        sessionIdleTimeoutMs: Number(process.env.MCP_SESSION_IDLE_MS || 30 * 60 * 1000),
+        allowedHosts: this.parseList(process.env.MCP_ALLOWED_HOSTS),
+        allowedOrigins: this.parseList(process.env.MCP_ALLOWED_ORIGINS)
+      },
+      auth: {
+        apiKeys: [
+          ...this.parseApiKeys(process.env.API_KEYS),
+          ...this.parseApiKeys(process.env.API_KEYS_FILE && fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'))
+        ],
+        allowUnauthenticated: process.env.ALLOW_UNAUTHENTICATED_HTTP === 'true'
+      },
       serverName: "file-server-mcp",
       serverVersion: "1.0.0"
     };
   }
   
+  /**
+   * Parse command line options such as --transport http --port 3000
+   * @param {string[]} argv - The arguments after the script name
+   * @returns {{transport?: string, host?: string, port?: string}} - The options given
+   */
+  parseArguments(argv) {
+    const { values } = parseArgs({
+      args: argv,
+      options: {
+        transport: { type: 'string' },
+        host: { type: 'string' },
+        port: { type: 'string' }
+      }
+    });
+    return values;
+  }
+  
+  /**
+   * Parse named workspace roots from "name=/path,other=/path" or a JSON object
+   * @param {string} value - The raw setting
+   * @returns {Object<string, string>} - Root names mapped to directories
+   */
+  parseRoots(value) {
+    if (!value || !value.trim()) {
+      return {};
+    }
+    
+    if (value.trim().startsWith('{')) {
+      return JSON.parse(value);
+    }
+    
+    const roots = {};
+    for (const pair of value.split(',')) {
+      const separator = pair.indexOf('=');
+      if (separator === -1) {
+        throw new Error(`Invalid WORKSPACE_ROOTS entry "${pair}". Expected name=/absolute/path`);
+      }
+      roots[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+    }
+    return roots;
+  }
+  
+  /**
+   * Parse a comma-separated list
+   * @param {string} value - The raw setting
+   * @returns {string[]} - The entries, or an empty list when not set
+   */
+  parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+  
+  /**
+   * Parse a list of paths separated by the platform path delimiter (":" or ";")
+   * @param {string} value - The raw setting
+   * @returns {string[]|undefined} - The paths, or undefined when not set
+   */
+  parsePathList(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    return value.split(path.delimiter).map(entry => entry.trim()).filter(Boolean);
+  }
+  
+  /**
+   * Parse path permission rules from "secrets/**=read,*.pem=none" or a JSON array of {pattern, access}
+   * @param {string} value - The raw setting
+   * @returns {Array<{pattern: string, access: string}>} - The rules
+   */
+  parsePathRules(value) {
+    if (!value || !value.trim()) {
+      return [];
+    }
+    
+    if (value.trim().startsWith('[')) {
+      return JSON.parse(value);
+    }
+    
+    return value.split(',').map(pair => {
+      const separator = pair.lastIndexOf('=');
+      if (separator === -1) {
+        throw new Error(`Invalid PATH_RULES entry "${pair}". Expected pattern=read or pattern=none`);
+      }
+      return { pattern: pair.substring(0, separator).trim(), access: pair.substring(separator + 1).trim() };
+    });
+  }
+  
+  /**
+   * Parse API keys from a JSON array of {name, key or keySha256, scope, roots} objects
+   * @param {string} value - The raw setting or file contents
+   * @returns {Array<Object>} - The key entries
+   */
+  parseApiKeys(value) {
+    if (!value || !value.trim()) {
+      return [];
+    }
+    
+    const keys = JSON.parse(value);
+    if (!Array.isArray(keys)) {
+      throw new Error('API keys must be a JSON array of {"name", "key", "scope", "roots"} objects');
+    }
+    return keys;
+  }
+  
   /**
    * Get the value for a config key
    * @param {string} key - The config key to get
@@ -0,0 +1,154 @@
+// services/documentService.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import mammoth from 'mammoth';
+import * as XLSX from 'xlsx';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+const WORD_EXTENSIONS = ['.docx'];
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls'];
+
+/**
+ * Service for converting office documents into readable text
+ */
+export class DocumentService {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Check whether a file should be converted instead of read as text
+   * @param {string} filePath - The path to the file
+   * @returns {boolean} - Whether the file is a supported document format
+   */
+  isDocument(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return WORD_EXTENSIONS.includes(ext) || SPREADSHEET_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Convert a document to text
+   * @param {string} filePath - The absolute path to the document
+   * @param {Object} options - Conversion options
+   * @param {string} options.format - Output format ('markdown', 'text' or 'csv')
+   * @param {string} options.sheet - Worksheet name to read (spreadsheets only)
+   * @param {string} options.range - Cell range such as 'A1:D20' (spreadsheets only)
+   * @returns {Promise<{documentType: string, content: string, sheets?: string[]}>} - The converted document
+   */
+  async convert(filePath, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (WORD_EXTENSIONS.includes(ext)) {
+      return this.convertWord(filePath, options);
+    }
+
+    if (SPREADSHEET_EXTENSIONS.includes(ext)) {
+      return this.convertSpreadsheet(filePath, options);
+    }
+
+    throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Unsupported document format: ${ext}`);
+  }
+
+  /**
+   * Convert a Word document to Markdown or plain text
+   * @param {string} filePath - The absolute path to the document
+   * @param {Object} options - Conversion options
+   * @returns {Promise<{documentType: string, content: string}>} - The converted document
+   */
+  async convertWord(filePath, { format = 'markdown' } = {}) {
+    this.logger(`Converting Word document: ${filePath} (format: ${format})`);
+
+    const result = format === 'text'
+      ? await mammoth.extractRawText({ path: filePath })
+      : await mammoth.convertToMarkdown({ path: filePath });
+
+    for (const message of result.messages) {
+      this.logger(`mammoth ${message.type}: ${message.message}`);
+    }
+
+    return {
+      documentType: 'docx',
+      content: result.value
+    };
+  }
+
+  /**
+   * Convert a workbook to per-sheet CSV or Markdown tables
+   * @param {string} filePath - The absolute path to the workbook
+   * @param {Object} options - Conversion options
+   * @returns {Promise<{documentType: string, content: string, sheets: string[]}>} - The converted workbook
+   */
+  async convertSpreadsheet(filePath, { format = 'csv', sheet, range } = {}) {
+    this.logger(`Converting spreadsheet: ${filePath} (format: ${format}, sheet: ${sheet || 'all'}, range: ${range || 'all'})`);
+
+    const buffer = await fs.readFile(filePath);
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+
+    let sheetNames = workbook.SheetNames;
+    if (sheet) {
+      if (!sheetNames.includes(sheet)) {
+        throw new ServiceError(ErrorCode.NOT_FOUND, `Sheet not found: ${sheet}. Available sheets: ${sheetNames.join(', ')}`);
+      }
+      sheetNames = [sheet];
+    }
+
+    const sections = sheetNames.map(name => {
+      const worksheet = workbook.Sheets[name];
+      const body = format === 'markdown'
+        ? this.sheetToMarkdown(worksheet, range)
+        : this.sheetToCsv(worksheet, range);
+      return `## Sheet: ${name}\n\n${body}`;
+    });
+
+    return {
+      documentType: path.extname(filePath).toLowerCase().substring(1),
+      content: sections.join('\n\n'),
+      sheets: workbook.SheetNames
+    };
+  }
+
+  /**
+   * Render a worksheet as CSV
+   * @param {Object} worksheet - The xlsx worksheet
+   * @param {string} range - Optional cell range
+   * @returns {string} - The CSV text
+   */
+  sheetToCsv(worksheet, range) {
+    if (range) {
+      return XLSX.utils.sheet_to_csv({ ...worksheet, '!ref': range });
+    }
+    return XLSX.utils.sheet_to_csv(worksheet);
+  }
+
+  /**
+   * Render a worksheet as a Markdown table
+   * @param {Object} worksheet - The xlsx worksheet
+   * @param {string} range - Optional cell range
+   * @returns {string} - The Markdown table
+   */
+  sheetToMarkdown(worksheet, range) {
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: '',
+      blankrows: false,
+      ...(range ? { range } : {})
+    });
+
+    if (rows.length === 0) {
+      return '(empty sheet)';
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const formatRow = row => {
+      const cells = Array.from({ length: width }, (_, i) => String(row[i] ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' '));
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    const [header, ...body] = rows;
+    return [
+      formatRow(header),
+      `| ${Array(width).fill('---').join(' | ')} |`,
+      ...body.map(formatRow)
+    ].join('\n');
+  }
+}
@@ -1,21 +1,86 @@
 // services/fileService.js
 import * as fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import crypto from 'crypto';
+import os from 'os';
 import path from 'path';
+import { minimatch } from 'minimatch';
+import ignore from 'ignore';
+import { applyPatch, createTwoFilesPatch, parsePatch } from 'diff';
+import { DocumentService } from './documentService.js';
+import { MimeService } from './mimeService.js';
+import { WatchService } from './watchService.js';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// Default page size for text reads, so large files are never returned whole
+const DEFAULT_LINE_LIMIT = 2000;
+const DEFAULT_BYTE_LIMIT = 64 * 1024;
+const MAX_PAGE_BYTES = 1024 * 1024;
+
+// Largest binary payloads returned inline as image blocks or base64
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_BASE64_BYTES = 1024 * 1024;
+
+// Largest file returned whole as an MCP resource; bigger files are read in pages with read_file
+const MAX_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+// Directories skipped by recursive walks unless explicitly requested
+const DEFAULT_EXCLUDES = ['**/.git/**', '**/node_modules/**'];
+
+// Symbolic links followed before giving up, as with the system's ELOOP limit
+const MAX_SYMLINK_HOPS = 40;
+
+// Deleting directories larger than this needs explicit confirmation
+const DEFAULT_CONFIRM_DELETE_BYTES = 100 * 1024 * 1024;
+
+// Files whose hash and line count are remembered between paged reads
+const DIGEST_CACHE_ENTRIES = 100;
 
 /**
  * Service responsible for file system operations
  */
 export class FileService {
-  constructor(baseDirectory, logger) {
+  /**
+   * Create a new file service
+   * @param {string} baseDirectory - The base directory for file operations
+   * @param {function} logger - The logger function
+   * @param {Object} options - Service options
+   * @param {TrashService} options.trashService - Where deleted files are moved
+   * @param {number} options.confirmDeleteAboveBytes - Directory size above which deletes need confirmation
+   * @param {PermissionService} options.permissionService - Path rules limiting reads and writes
+   * @param {string} options.symlinkPolicy - 'follow' to follow links that stay inside the base directory, or 'refuse' to reject all links
+   * @param {Object} options.watchOptions - Journal size and debounce for the change watcher (see WatchService)
+   */
+  constructor(baseDirectory, logger, {
+    trashService,
+    confirmDeleteAboveBytes = DEFAULT_CONFIRM_DELETE_BYTES,
+    permissionService,
+    symlinkPolicy = 'follow',
+    watchOptions = {}
+  } = {}) {
+    if (!['follow', 'refuse'].includes(symlinkPolicy)) {
+      throw new Error(`Unknown symlink policy: ${symlinkPolicy}. Expected 'follow' or 'refuse'`);
+    }
+    
     this.baseDirectory = baseDirectory;
     this.logger = logger;
+    this.trashService = trashService;
+    this.permissionService = permissionService;
+    this.symlinkPolicy = symlinkPolicy;
+    this.confirmDeleteAboveBytes = confirmDeleteAboveBytes;
+    this.documentService = new DocumentService(logger);
+    this.mimeService = new MimeService(logger);
+    this.watchService = new WatchService(this, logger, watchOptions);
+    this.digestCache = new Map();
   }
   
   /**
-   * Set the base directory
+   * Set the base directory, stopping any watcher on the old one
    * @param {string} newBaseDir - The new base directory path
    */
   setBaseDirectory(newBaseDir) {
+    this.watchService.stop();
     this.baseDirectory = newBaseDir;
   }
   
@@ -44,20 +109,22 @@ export class FileService {
   }
   
   /**
-   * Validate and resolve a path to prevent directory traversal
+   * Validate and resolve a path to prevent directory traversal, including through symbolic links
    * @param {string} requestedPath - The requested path to resolve
-   * @returns {string} - The safe absolute path
+   * @returns {Promise<string>} - The safe absolute path
    */
-  resolveSafePath(requestedPath) {
+  async resolveSafePath(requestedPath) {
     try {
       // Handle root path request or empty path
       if (!requestedPath || requestedPath === '/' || requestedPath === '\\') {
         return this.baseDirectory;
       }
       
+      // Accept Windows-style separators on every platform
+      let cleanPath = requestedPath.replace(/\\/g, '/');
+      
       // Strip leading slashes to ensure path is treated as relative
-      let cleanPath = requestedPath;
-      while (cleanPath.startsWith('/') || cleanPath.startsWith('\\')) {
+      while (cleanPath.startsWith('/')) {
         cleanPath = cleanPath.substring(1);
       }
       
@@ -65,8 +132,8 @@ export class FileService {
       const normalizedPath = path.normalize(cleanPath);
       
       // Check if the path tries to go outside the base directory
-      if (normalizedPath.includes('..')) {
-        throw new Error('Directory traversal attempt detected');
+      if (normalizedPath.split(/[\\/]/).includes('..')) {
+        throw new ServiceError(ErrorCode.OUTSIDE_ROOT, 'Directory traversal attempt detected');
       }
       
       // Use path.join to properly handle relative paths
@@ -75,9 +142,11 @@ export class FileService {
       // Extra safety check - verify the path is still within BASE_DIRECTORY
       const relativePath = path.relative(this.baseDirectory, absolutePath);
       if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
-        throw new Error('Path resolves outside the base directory');
+        throw new ServiceError(ErrorCode.OUTSIDE_ROOT, 'Path resolves outside the base directory');
       }
       
+      await this.assertNoSymlinkEscape(absolutePath);
+      
       return absolutePath;
     } catch (error) {
       this.logger(`Path resolution error: ${error.message}`);
@@ -85,15 +154,156 @@ export class FileService {
     }
   }
   
+  /**
+   * Resolve symbolic links in a path using its nearest existing ancestor, for paths not created yet
+   * @param {string} absolutePath - The absolute path
+   * @returns {Promise<string>} - The real path
+   */
+  async resolveRealPath(absolutePath) {
+    let existingPath = absolutePath;
+    const missing = [];
+    let hops = 0;
+    
+    while (true) {
+      try {
+        const realPath = await fs.realpath(existingPath);
+        return path.join(realPath, ...missing);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      
+      // A dangling link still decides where a new file would be created, so follow its target
+      let linkTarget = null;
+      try {
+        linkTarget = await fs.readlink(existingPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'EINVAL') throw error;
+      }
+      if (linkTarget !== null) {
+        if (++hops > MAX_SYMLINK_HOPS) {
+          throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Too many levels of symbolic links: ${absolutePath}`);
+        }
+        existingPath = path.resolve(path.dirname(existingPath), linkTarget);
+        continue;
+      }
+      
+      const parent = path.dirname(existingPath);
+      if (parent === existingPath) {
+        return path.join(existingPath, ...missing);
+      }
+      missing.unshift(path.basename(existingPath));
+      existingPath = parent;
+    }
+  }
+  
+  /**
+   * Fail if symbolic links take a path outside the base directory, or if the symlink policy refuses links
+   * @param {string} absolutePath - The lexically validated absolute path
+   * @returns {Promise<void>}
+   */
+  async assertNoSymlinkEscape(absolutePath) {
+    if (this.symlinkPolicy === 'refuse') {
+      // Check every existing component below the base directory, including the target itself
+      const segments = path.relative(this.baseDirectory, absolutePath).split(path.sep);
+      let current = this.baseDirectory;
+      for (const segment of segments) {
+        current = path.join(current, segment);
+        let stats;
+        try {
+          stats = await fs.lstat(current);
+        } catch (error) {
+          if (error.code === 'ENOENT') break;
+          throw error;
+        }
+        if (stats.isSymbolicLink()) {
+          throw new ServiceError(ErrorCode.OUTSIDE_ROOT, `Symbolic links are not allowed: ${this.toRelativePath(current)}`);
+        }
+      }
+      return;
+    }
+    
+    const realBase = await this.resolveRealPath(this.baseDirectory);
+    const realPath = await this.resolveRealPath(absolutePath);
+    const relativePath = path.relative(realBase, realPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new ServiceError(ErrorCode.OUTSIDE_ROOT, 'Path resolves outside the base directory through a symbolic link');
+    }
+  }
+  
+  /**
+   * Fail if the path rules forbid an operation on a path
+   * @param {string} safePath - The resolved absolute path
+   * @param {string} operation - 'read' or 'write'
+   * @param {Object} options - Check options
+   * @param {boolean} options.recursive - Also check everything below a directory (for copy, move and delete)
+   * @param {string[]} options.exclude - Globs to leave out of a recursive check
+   * @returns {Promise<void>}
+   */
+  async assertAccess(safePath, operation, { recursive = false, exclude = [] } = {}) {
+    if (!this.permissionService) return;
+    
+    this.permissionService.checkPath(this.toRelativePath(safePath), operation);
+    // The built-in rules only cover the path itself, so the tree is walked for configured rules alone
+    if (!recursive || !this.permissionService.hasPathRules()) return;
+    
+    let stats;
+    try {
+      stats = await fs.lstat(safePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (!stats.isDirectory()) return;
+    
+    for await (const { relativePath } of this.walk(safePath, { exclude, hideUnreadable: false })) {
+      this.permissionService.checkPath(relativePath, operation, { builtIn: false });
+    }
+  }
+  
+  /**
+   * Fail if the path rules forbid writing a copy of a directory tree at a destination
+   * @param {string} sourcePath - The absolute source path
+   * @param {string} destinationPath - The absolute path the source will be written to
+   * @returns {Promise<void>}
+   */
+  async assertTransferAccess(sourcePath, destinationPath) {
+    if (!this.permissionService) return;
+    
+    if (!(await fs.lstat(sourcePath)).isDirectory()) return;
+    
+    // A tree placed on the base directory itself brings its top-level entries, such as a .git directory, into the root
+    if (destinationPath === this.baseDirectory) {
+      for (const name of await fs.readdir(sourcePath)) {
+        this.permissionService.checkPath(name, 'write');
+      }
+    }
+    if (!this.permissionService.hasPathRules()) return;
+    
+    for await (const { absolutePath } of this.walk(sourcePath, { exclude: [], hideUnreadable: false })) {
+      const targetPath = path.join(destinationPath, path.relative(sourcePath, absolutePath));
+      this.permissionService.checkPath(this.toRelativePath(targetPath), 'write', { builtIn: false });
+    }
+  }
+  
+  /**
+   * Check whether the path rules hide a path from listings
+   * @param {string} absolutePath - The absolute path
+   * @returns {boolean} - Whether the path may be shown
+   */
+  isReadable(absolutePath) {
+    return !this.permissionService || this.permissionService.canRead(this.toRelativePath(absolutePath));
+  }
+  
   /**
    * List files in a directory
    * @param {string} directory - The directory to list
    * @returns {Promise<Array>} - Array of directory entries
    */
   async listFiles(directory) {
-    const safePath = this.resolveSafePath(directory || '');
+    const safePath = await this.resolveSafePath(directory || '');
+    await this.assertAccess(safePath, 'read');
     const entries = await fs.readdir(safePath, { withFileTypes: true });
-    return entries.map(entry => ({
+    return entries.filter(entry => this.isReadable(path.join(safePath, entry.name))).map(entry => ({
       name: entry.name,
       isDirectory: entry.isDirectory()
     }));
@@ -102,10 +312,21 @@ export class FileService {
   /**
    * Read a file's content
    * @param {string} filePath - The path to the file
-   * @returns {Promise<string>} - The file content
+   * @param {Object} options - Read options
+   * @param {string} options.format - Output format for documents ('markdown', 'text' or 'csv')
+   * @param {string} options.sheet - Worksheet to read from a workbook
+   * @param {string} options.range - Cell range to read from a workbook (e.g. 'A1:D20')
+   * @param {string} options.unit - Pagination unit for text files ('lines' or 'bytes')
+   * @param {number} options.offset - Zero-based line or byte offset to start from
+   * @param {number} options.limit - Maximum number of lines or bytes to return
+   * @param {boolean} options.tail - Read the last `limit` lines or bytes instead
+   * @param {string} options.cursor - Continuation cursor from a previous read (overrides unit/offset)
+   * @param {string} options.binary - How to return non-image binaries ('summary' or 'base64')
+   * @returns {Promise<Object>} - The file content, with a `hash` of the whole file for conflict checks
    */
-  async readFile(filePath) {
-    const safePath = this.resolveSafePath(filePath);
+  async readFile(filePath, options = {}) {
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'read');
     
     // Check if it's a directory
     const stats = await fs.stat(safePath);
@@ -113,53 +334,1521 @@ export class FileService {
       const entries = await fs.readdir(safePath, { withFileTypes: true });
       return {
         isDirectory: true,
-        entries: entries.map(entry => ({
+        entries: entries.filter(entry => this.isReadable(path.join(safePath, entry.name))).map(entry => ({
           name: entry.name,
           isDirectory: entry.isDirectory()
         }))
       };
     }
     
-    // Read file
-    const content = await fs.readFile(safePath, 'utf8');
+    // Hash the whole file so writes can detect changes made since this read
+    const { hash } = await this.getFileDigest(safePath, stats);
+    
+    // Convert Word and Excel documents instead of decoding them as text
+    if (this.documentService.isDocument(safePath)) {
+      const document = await this.documentService.convert(safePath, options);
+      return {
+        isDirectory: false,
+        isDocument: true,
+        hash,
+        ...document
+      };
+    }
+    
+    // Return binaries as images, base64 or a summary rather than decoding them as UTF-8
+    const type = await this.mimeService.detect(safePath);
+    if (!type.isText) {
+      return { hash, ...await this.readBinary(safePath, stats.size, type, options) };
+    }
+    
+    // Stream a page of the file rather than loading it all
     return {
       isDirectory: false,
-      content
+      mimeType: type.mimeType,
+      hash,
+      ...await this.readFileRange(safePath, stats.size, options)
     };
   }
   
   /**
-   * Write content to a file
-   * @param {string} filePath - The path to the file
-   * @param {string} content - The content to write
-   * @returns {Promise<void>}
+   * Read a whole file for an MCP resource: text as UTF-8, anything else as base64
+   * @param {string} filePath - The path to the file or directory
+   * @returns {Promise<Object>} - `{isDirectory: true, entries}` for directories, otherwise `{mimeType, text}` or `{mimeType, blob}`
    */
-  async writeFile(filePath, content) {
-    const safePath = this.resolveSafePath(filePath);
+  async readResource(filePath) {
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'read');
     
-    // Create directory if needed
-    const dirPath = path.dirname(safePath);
-    await fs.mkdir(dirPath, { recursive: true });
+    const stats = await fs.stat(safePath);
+    if (stats.isDirectory()) {
+      return { isDirectory: true, entries: await this.listFiles(filePath) };
+    }
+    if (stats.size > MAX_RESOURCE_BYTES) {
+      throw new ServiceError(ErrorCode.TOO_LARGE, `File is too large to read as a resource (${stats.size} bytes, limit ${MAX_RESOURCE_BYTES}). Use read_file to page through it`);
+    }
     
-    // Write file
-    await fs.writeFile(safePath, content, 'utf8');
+    const type = await this.mimeService.detect(safePath);
+    const data = await fs.readFile(safePath);
+    return type.isText
+      ? { isDirectory: false, mimeType: type.mimeType, text: data.toString('utf8') }
+      : { isDirectory: false, mimeType: type.mimeType, blob: data.toString('base64') };
   }
   
   /**
-   * Delete a file or directory
-   * @param {string} filePath - The path to delete
-   * @returns {Promise<void>}
+   * List the files under the base directory that are offered as MCP resources, skipping ignored paths
+   * @param {number} maxResults - Stop after this many files
+   * @returns {Promise<{files: Array<{path: string, absolutePath: string}>, truncated: boolean}>} - The files
+   */
+  async listResourceFiles(maxResults) {
+    const files = [];
+    for await (const { absolutePath, relativePath, entry } of this.walk(this.baseDirectory, { gitignore: true })) {
+      if (!entry.isFile()) continue;
+      if (files.length >= maxResults) {
+        return { files, truncated: true };
+      }
+      files.push({ path: relativePath, absolutePath });
+    }
+    return { files, truncated: false };
+  }
+  
+  /**
+   * Read a binary file as an image, base64 payload or metadata summary
+   * @param {string} safePath - The resolved absolute path
+   * @param {number} size - The file size in bytes
+   * @param {Object} type - The detected type from MimeService.detect
+   * @param {Object} options - Read options (see readFile)
+   * @returns {Promise<Object>} - The binary read result
    */
-  async deleteFile(filePath) {
-    const safePath = this.resolveSafePath(filePath);
+  async readBinary(safePath, size, type, { binary = 'summary' } = {}) {
+    const result = {
+      isDirectory: false,
+      isBinary: true,
+      isImage: false,
+      mimeType: type.mimeType,
+      size
+    };
     
-    // Check if it exists
+    if (type.isImage && size <= MAX_IMAGE_BYTES) {
+      const data = await fs.readFile(safePath);
+      return { ...result, isImage: true, encoding: 'base64', data: data.toString('base64') };
+    }
+    
+    if (binary === 'base64') {
+      if (size > MAX_BASE64_BYTES) {
+        throw new ServiceError(ErrorCode.TOO_LARGE, `File is too large to return as base64 (${size} bytes, limit ${MAX_BASE64_BYTES})`);
+      }
+      const data = await fs.readFile(safePath);
+      return { ...result, encoding: 'base64', data: data.toString('base64') };
+    }
+    
+    return { ...result, encoding: 'summary', hexPreview: this.mimeService.hexPreview(type.sample) };
+  }
+  
+  /**
+   * Parse a continuation cursor of the form "<unit>:<offset>"
+   * @param {string} cursor - The cursor string
+   * @returns {{unit: string, offset: number}} - The decoded cursor
+   */
+  parseCursor(cursor) {
+    const match = /^(lines|bytes):(\d+)$/.exec(cursor);
+    if (!match) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid cursor: ${cursor}. Expected "lines:<n>" or "bytes:<n>"`);
+    }
+    return { unit: match[1], offset: Number(match[2]) };
+  }
+  
+  /**
+   * Read a window of a text file by line or byte without buffering the whole file
+   * @param {string} safePath - The resolved absolute path
+   * @param {number} size - The file size in bytes
+   * @param {Object} options - Range options (see readFile)
+   * @returns {Promise<Object>} - The page content with size, line count and next cursor
+   */
+  async readFileRange(safePath, size, { unit = 'lines', offset = 0, limit, tail = false, cursor } = {}) {
+    if (cursor) {
+      ({ unit, offset } = this.parseCursor(cursor));
+      tail = false;
+    }
+    
+    if (unit === 'bytes') {
+      return this.readByteRange(safePath, size, offset, limit || DEFAULT_BYTE_LIMIT, tail);
+    }
+    return this.readLineRange(safePath, size, offset, limit || DEFAULT_LINE_LIMIT, tail);
+  }
+  
+  /**
+   * Read a range of lines, stopping at the end of the page.
+   * Lines are split from the raw bytes so that a line longer than the page is never held whole: it is cut at
+   * MAX_PAGE_BYTES, the result is marked `truncated`, and a forward read continues from a byte cursor.
+   * @param {string} safePath - The resolved absolute path
+   * @param {number} size - The file size in bytes
+   * @param {number} offset - Zero-based line to start from
+   * @param {number} limit - Maximum number of lines to return
+   * @param {boolean} tail - Return the last `limit` lines instead
+   * @returns {Promise<Object>} - The page content
+   */
+  async readLineRange(safePath, size, offset, limit, tail) {
+    const stream = createReadStream(safePath);
+    
+    const selected = [];
+    let selectedBytes = 0;
+    let totalLines = 0;
+    let endLine = null;
+    let cutAt = null;
+    
+    // The part of the current line kept so far, and where the line starts in the file
+    let parts = [];
+    let lineBytes = 0;
+    let lineCut = false;
+    let lineStart = 0;
+    let position = 0;
+    
+    const keepLine = () => {
+      const content = this.decodeLine(Buffer.concat(parts), lineCut);
+      selected.push({ content, bytes: lineBytes, cut: lineCut });
+      selectedBytes += lineBytes + 1;
+      if (tail) {
+        // Keep a sliding window of the last `limit` lines, within the same byte cap as forward reads
+        while (selected.length > limit || (selected.length > 1 && selectedBytes > MAX_PAGE_BYTES)) {
+          selectedBytes -= selected.shift().bytes + 1;
+        }
+      }
+    };
+    
+    try {
+      read: for await (const chunk of stream) {
+        let from = 0;
+        while (from < chunk.length) {
+          const newline = chunk.indexOf(0x0a, from);
+          const to = newline === -1 ? chunk.length : newline;
+          const index = totalLines;
+          
+          if (!tail && index >= offset && selected.length >= limit) {
+            endLine = index;
+            break read;
+          }
+          
+          if (tail || index >= offset) {
+            parts.push(chunk.subarray(from, to));
+            lineBytes += to - from;
+            
+            if (tail && lineBytes > MAX_PAGE_BYTES) {
+              // Keep only the end of an oversized line
+              while (lineBytes - parts[0].length >= MAX_PAGE_BYTES) {
+                lineBytes -= parts.shift().length;
+              }
+              parts[0] = parts[0].subarray(lineBytes - MAX_PAGE_BYTES);
+              lineBytes = MAX_PAGE_BYTES;
+              lineCut = true;
+            } else if (!tail && selected.length > 0 && selectedBytes + lineBytes + 1 > MAX_PAGE_BYTES) {
+              endLine = index;
+              break read;
+            } else if (!tail && lineBytes > MAX_PAGE_BYTES) {
+              // The first line of the page is too long for it, so return its start and continue by bytes
+              const line = Buffer.concat(parts);
+              const kept = this.findCharacterBoundary(line, MAX_PAGE_BYTES);
+              parts = [line.subarray(0, kept)];
+              lineBytes = kept;
+              lineCut = true;
+              cutAt = lineStart + kept;
+              keepLine();
+              break read;
+            }
+          }
+          
+          position += to - from;
+          from = to;
+          if (newline !== -1) {
+            if (tail || index >= offset) keepLine();
+            totalLines++;
+            position++;
+            from++;
+            lineStart = position;
+            parts = [];
+            lineBytes = 0;
+            lineCut = false;
+          }
+        }
+      }
+      
+      // A final line without a trailing newline still counts
+      if (endLine === null && cutAt === null && position > lineStart) {
+        if (tail || totalLines >= offset) keepLine();
+        totalLines++;
+      }
+    } finally {
+      stream.destroy();
+    }
+    
+    // The page ended early, so take the total from the digest instead of reading on
+    if (endLine !== null || cutAt !== null) {
+      totalLines = (await this.getFileDigest(safePath)).lines;
+    }
+    
+    const startLine = tail ? Math.max(0, totalLines - selected.length) : Math.min(offset, totalLines);
+    let nextCursor = null;
+    if (cutAt !== null) {
+      nextCursor = `bytes:${cutAt}`;
+    } else if (!tail && endLine !== null) {
+      nextCursor = `lines:${endLine}`;
+    }
+    
+    return {
+      content: selected.map(line => line.content).join('\n'),
+      size,
+      totalLines,
+      unit: 'lines',
+      start: startLine,
+      end: startLine + selected.length,
+      truncated: selected.some(line => line.cut),
+      nextCursor
+    };
+  }
+  
+  /**
+   * Decode a line read from the file, dropping the carriage return of a CRLF line ending
+   * @param {Buffer} line - The line's bytes, without the newline
+   * @param {boolean} cut - Whether the start of the line was dropped, possibly in the middle of a character
+   * @returns {string} - The line's text
+   */
+  decodeLine(line, cut) {
+    let start = 0;
+    if (cut) {
+      while (start < line.length && (line[start] & 0xc0) === 0x80) start++;
+    }
+    const end = line.length > start && line[line.length - 1] === 0x0d ? line.length - 1 : line.length;
+    return line.toString('utf8', start, end);
+  }
+  
+  /**
+   * Find where to cut a buffer so that no UTF-8 character is split
+   * @param {Buffer} buffer - The bytes
+   * @param {number} length - The most bytes to keep
+   * @returns {number} - The number of bytes to keep
+   */
+  findCharacterBoundary(buffer, length) {
+    let end = Math.min(length, buffer.length);
+    while (end > 0 && end < buffer.length && (buffer[end] & 0xc0) === 0x80) end--;
+    return end;
+  }
+  
+  /**
+   * Read a range of bytes using positional reads
+   * @param {string} safePath - The resolved absolute path
+   * @param {number} size - The file size in bytes
+   * @param {number} offset - Byte position to start from
+   * @param {number} limit - Maximum number of bytes to return
+   * @param {boolean} tail - Return the last `limit` bytes instead
+   * @returns {Promise<Object>} - The page content
+   */
+  async readByteRange(safePath, size, offset, limit, tail) {
+    const length = Math.min(limit, MAX_PAGE_BYTES);
+    const start = tail ? Math.max(0, size - length) : Math.min(offset, size);
+    const buffer = Buffer.alloc(Math.min(length, size - start));
+    
+    const handle = await fs.open(safePath, 'r');
+    let bytesRead;
+    try {
+      ({ bytesRead } = await handle.read(buffer, 0, buffer.length, start));
+    } finally {
+      await handle.close();
+    }
+    
+    const end = start + bytesRead;
+    return {
+      content: buffer.subarray(0, bytesRead).toString('utf8'),
+      size,
+      totalLines: (await this.getFileDigest(safePath)).lines,
+      unit: 'bytes',
+      start,
+      end,
+      nextCursor: end < size ? `bytes:${end}` : null
+    };
+  }
+  
+  /**
+   * Convert an absolute path to a base-relative path with forward slashes
+   * @param {string} absolutePath - The absolute path
+   * @returns {string} - The relative path
+   */
+  toRelativePath(absolutePath) {
+    return path.relative(this.baseDirectory, absolutePath).split(path.sep).join('/');
+  }
+  
+  /**
+   * Check a base-relative path against a list of glob patterns.
+   * Patterns without a slash match the file name at any depth.
+   * @param {string} relativePath - The base-relative path
+   * @param {string[]} patterns - Glob patterns
+   * @returns {boolean} - Whether any pattern matches
+   */
+  matchesAnyGlob(relativePath, patterns) {
+    return patterns.some(pattern => minimatch(relativePath, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+  }
+  
+  /**
+   * Load the .gitignore rules that apply to a directory, from the base directory down
+   * @param {string} safePath - The resolved absolute directory
+   * @returns {Promise<Array<{dir: string, matcher: Object}>>} - The rules, outermost first
+   */
+  async loadGitignoreChain(safePath) {
+    const directories = [];
+    let current = safePath;
+    while (true) {
+      directories.unshift(current);
+      if (current === this.baseDirectory || path.relative(this.baseDirectory, current).startsWith('..')) break;
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+    
+    const rules = [];
+    for (const directory of directories) {
+      const rule = await this.loadGitignore(directory);
+      if (rule) rules.push(rule);
+    }
+    return rules;
+  }
+  
+  /**
+   * Load the .gitignore file in a single directory
+   * @param {string} directory - The absolute directory
+   * @returns {Promise<{dir: string, matcher: Object}|null>} - The rule, or null if there is no .gitignore
+   */
+  async loadGitignore(directory) {
+    try {
+      const content = await fs.readFile(path.join(directory, '.gitignore'), 'utf8');
+      return { dir: directory, matcher: ignore().add(content) };
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Check a path against loaded .gitignore rules
+   * @param {string} absolutePath - The absolute path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @param {Array} rules - Rules from loadGitignoreChain
+   * @returns {boolean} - Whether the path is ignored
+   */
+  isGitignored(absolutePath, isDirectory, rules) {
+    return rules.some(({ dir, matcher }) => {
+      const relative = path.relative(dir, absolutePath).split(path.sep).join('/');
+      return matcher.ignores(isDirectory ? `${relative}/` : relative);
+    });
+  }
+  
+  /**
+   * Recursively walk a directory without following symbolic links
+   * @param {string} safePath - The resolved absolute directory to walk
+   * @param {Object} options - Walk options
+   * @param {string[]} options.exclude - Glob patterns for paths to skip, including whole directories
+   * @param {number} options.maxDepth - Maximum depth to descend (unlimited by default)
+   * @param {boolean} options.gitignore - Skip paths matched by .gitignore files
+   * @param {boolean} options.hideUnreadable - Skip paths the path rules make unreadable (default true)
+   * @param {number} depth - Current depth (internal)
+   * @param {Array} gitignoreRules - Rules inherited from parent directories (internal)
+   * @yields {{absolutePath: string, relativePath: string, entry: fs.Dirent, depth: number}}
+   */
+  async *walk(safePath, { exclude = DEFAULT_EXCLUDES, maxDepth = Infinity, gitignore = false, hideUnreadable = true } = {}, depth = 1, gitignoreRules = null) {
+    let entries;
+    try {
+      entries = await fs.readdir(safePath, { withFileTypes: true });
+    } catch (error) {
+      this.logger(`Skipping unreadable directory ${safePath}: ${error.message}`);
+      return;
+    }
+    
+    let rules = gitignoreRules || [];
+    if (gitignore) {
+      if (gitignoreRules === null) {
+        rules = await this.loadGitignoreChain(safePath);
+      } else {
+        const rule = await this.loadGitignore(safePath);
+        if (rule) rules = [...rules, rule];
+      }
+    }
+    
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    
+    for (const entry of entries) {
+      const absolutePath = path.join(safePath, entry.name);
+      const relativePath = this.toRelativePath(absolutePath);
+      
+      // Test directories with a trailing slash so patterns like "**/.git/**" prune them
+      const testPath = entry.isDirectory() ? `${relativePath}/` : relativePath;
+      if (this.matchesAnyGlob(testPath, exclude) || this.matchesAnyGlob(relativePath, exclude)) {
+        continue;
+      }
+      if (gitignore && this.isGitignored(absolutePath, entry.isDirectory(), rules)) {
+        continue;
+      }
+      if (hideUnreadable && !this.isReadable(absolutePath)) {
+        continue;
+      }
+      
+      yield { absolutePath, relativePath, entry, depth };
+      
+      if (entry.isDirectory() && depth < maxDepth) {
+        yield* this.walk(absolutePath, { exclude, maxDepth, gitignore, hideUnreadable }, depth + 1, rules);
+      }
+    }
+  }
+  
+  /**
+   * Build the matcher used by searchFiles
+   * @param {string} pattern - The search pattern
+   * @param {boolean} isRegex - Whether the pattern is a regular expression
+   * @param {boolean} caseSensitive - Whether matching is case sensitive
+   * @returns {RegExp} - The compiled matcher
+   */
+  buildSearchRegex(pattern, isRegex, caseSensitive) {
+    const source = isRegex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+      return new RegExp(source, caseSensitive ? '' : 'i');
+    } catch (error) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid search pattern: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Search file contents under a directory
+   * @param {string} directory - The directory (or single file) to search
+   * @param {string} pattern - Literal text or regular expression to find
+   * @param {Object} options - Search options
+   * @param {boolean} options.regex - Treat the pattern as a regular expression
+   * @param {boolean} options.caseSensitive - Match case exactly
+   * @param {string[]} options.include - Glob patterns a file must match
+   * @param {string[]} options.exclude - Glob patterns for files or directories to skip
+   * @param {number} options.contextLines - Lines of context before and after each hit
+   * @param {number} options.maxResults - Maximum number of hits to return
+   * @returns {Promise<{matches: Array, filesSearched: number, truncated: boolean}>} - The search results
+   */
+  async searchFiles(directory, pattern, {
+    regex = false,
+    caseSensitive = false,
+    include = [],
+    exclude = [],
+    contextLines = 0,
+    maxResults = 100
+  } = {}) {
+    const safePath = await this.resolveSafePath(directory || '');
+    await this.assertAccess(safePath, 'read');
+    const matcher = this.buildSearchRegex(pattern, regex, caseSensitive);
     const stats = await fs.stat(safePath);
     
-    if (stats.isDirectory()) {
-      await fs.rm(safePath, { recursive: true, force: true });
-    } else {
-      await fs.unlink(safePath);
+    const matches = [];
+    let filesSearched = 0;
+    let truncated = false;
+    
+    const candidates = stats.isDirectory()
+      ? this.walk(safePath, { exclude: [...DEFAULT_EXCLUDES, ...exclude] })
+      : [{ absolutePath: safePath, relativePath: this.toRelativePath(safePath), entry: { isFile: () => true } }];
+    
+    for await (const { absolutePath, relativePath, entry } of candidates) {
+      if (!entry.isFile()) continue;
+      if (include.length > 0 && !this.matchesAnyGlob(relativePath, include)) continue;
+      
+      // Only search text files
+      const type = await this.mimeService.detect(absolutePath);
+      if (!type.isText) continue;
+      
+      filesSearched++;
+      const remaining = maxResults - matches.length;
+      const fileMatches = await this.searchFile(absolutePath, relativePath, matcher, contextLines, remaining + 1);
+      
+      if (fileMatches.length > remaining) {
+        matches.push(...fileMatches.slice(0, remaining));
+        truncated = true;
+        break;
+      }
+      matches.push(...fileMatches);
+    }
+    
+    this.logger(`search_files found ${matches.length} matches in ${filesSearched} files`);
+    return { matches, filesSearched, truncated };
+  }
+  
+  /**
+   * Stream a single file and collect matching lines with context
+   * @param {string} absolutePath - The absolute file path
+   * @param {string} relativePath - The base-relative path used in results
+   * @param {RegExp} matcher - The compiled matcher
+   * @param {number} contextLines - Lines of context before and after each hit
+   * @param {number} limit - Stop after this many hits
+   * @returns {Promise<Array>} - Hits of the form {path, line, text, before, after}
+   */
+  async searchFile(absolutePath, relativePath, matcher, contextLines, limit) {
+    const stream = createReadStream(absolutePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    
+    const hits = [];
+    const previous = [];
+    let waitingForContext = [];
+    let lineNumber = 0;
+    
+    try {
+      for await (const text of lines) {
+        lineNumber++;
+        
+        // Fill in trailing context for earlier hits
+        for (const hit of waitingForContext) {
+          hit.after.push(text);
+        }
+        waitingForContext = waitingForContext.filter(hit => hit.after.length < contextLines);
+        
+        if (hits.length < limit && matcher.test(text)) {
+          const hit = { path: relativePath, line: lineNumber, text, before: [...previous], after: [] };
+          hits.push(hit);
+          if (contextLines > 0) {
+            waitingForContext.push(hit);
+          }
+        }
+        
+        if (hits.length >= limit && waitingForContext.length === 0) {
+          break;
+        }
+        
+        if (contextLines > 0) {
+          previous.push(text);
+          if (previous.length > contextLines) {
+            previous.shift();
+          }
+        }
+      }
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+    
+    return hits;
+  }
+  
+  /**
+   * Parse a time bound given as an ISO date or a relative age such as "7d" or "12h"
+   * @param {string} value - The time bound
+   * @returns {number} - Milliseconds since the epoch
+   */
+  parseTimeBound(value) {
+    const relative = /^(\d+)\s*(m|h|d|w)$/i.exec(value.trim());
+    if (relative) {
+      const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+      return Date.now() - Number(relative[1]) * unitMs[relative[2].toLowerCase()];
+    }
+    
+    const timestamp = Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid date: ${value}. Use an ISO date or a relative age like "7d"`);
+    }
+    return timestamp;
+  }
+  
+  /**
+   * Find files and directories by name pattern and metadata
+   * @param {string} directory - The directory to search under
+   * @param {Object} options - Find options
+   * @param {string} options.pattern - Glob relative to the directory, e.g. "src/**\/*.test.js" (defaults to all entries)
+   * @param {string} options.type - 'file', 'directory' or 'any'
+   * @param {number} options.minSize - Minimum size in bytes (files only)
+   * @param {number} options.maxSize - Maximum size in bytes (files only)
+   * @param {string} options.modifiedAfter - ISO date or relative age ("7d")
+   * @param {string} options.modifiedBefore - ISO date or relative age ("7d")
+   * @param {string[]} options.exclude - Glob patterns for paths to skip
+   * @param {number} options.maxResults - Maximum number of entries to return
+   * @returns {Promise<{entries: Array, truncated: boolean}>} - The matching entries
+   */
+  async findFiles(directory, {
+    pattern = '**',
+    type = 'any',
+    minSize,
+    maxSize,
+    modifiedAfter,
+    modifiedBefore,
+    exclude = [],
+    maxResults = 200
+  } = {}) {
+    const safePath = await this.resolveSafePath(directory || '');
+    await this.assertAccess(safePath, 'read');
+    const after = modifiedAfter ? this.parseTimeBound(modifiedAfter) : null;
+    const before = modifiedBefore ? this.parseTimeBound(modifiedBefore) : null;
+    const checkSize = minSize !== undefined || maxSize !== undefined;
+    
+    const entries = [];
+    let truncated = false;
+    
+    for await (const { absolutePath, relativePath, entry } of this.walk(safePath, { exclude: [...DEFAULT_EXCLUDES, ...exclude] })) {
+      const isDirectory = entry.isDirectory();
+      if (type === 'file' && isDirectory) continue;
+      if (type === 'directory' && !isDirectory) continue;
+      
+      // Patterns are relative to the directory being searched
+      const searchRelative = path.relative(safePath, absolutePath).split(path.sep).join('/');
+      if (!this.matchesAnyGlob(searchRelative, [pattern])) continue;
+      
+      let stats;
+      try {
+        stats = await fs.lstat(absolutePath);
+      } catch (error) {
+        this.logger(`Skipping ${absolutePath}: ${error.message}`);
+        continue;
+      }
+      
+      if (checkSize) {
+        if (isDirectory) continue;
+        if (minSize !== undefined && stats.size < minSize) continue;
+        if (maxSize !== undefined && stats.size > maxSize) continue;
+      }
+      if (after !== null && stats.mtimeMs < after) continue;
+      if (before !== null && stats.mtimeMs > before) continue;
+      
+      if (entries.length >= maxResults) {
+        truncated = true;
+        break;
+      }
+      
+      entries.push({
+        path: relativePath,
+        isDirectory,
+        size: stats.size,
+        modified: stats.mtime.toISOString()
+      });
+    }
+    
+    return { entries, truncated };
+  }
+  
+  /**
+   * Build a nested tree of a directory
+   * @param {string} directory - The directory to render
+   * @param {Object} options - Tree options
+   * @param {number} options.maxDepth - How many levels to descend (defaults to 3)
+   * @param {boolean} options.respectGitignore - Skip paths matched by .gitignore (defaults to true)
+   * @param {string[]} options.exclude - Extra glob patterns for paths to skip
+   * @param {number} options.maxEntries - Stop after this many entries
+   * @returns {Promise<{root: Object, count: number, truncated: boolean}>} - The tree
+   */
+  async getDirectoryTree(directory, { maxDepth = 3, respectGitignore = true, exclude = [], maxEntries = 1000 } = {}) {
+    const safePath = await this.resolveSafePath(directory || '');
+    await this.assertAccess(safePath, 'read');
+    const rootStats = await fs.stat(safePath);
+    if (!rootStats.isDirectory()) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Not a directory: ${directory}`);
+    }
+    
+    const root = {
+      name: directory || '.',
+      path: this.toRelativePath(safePath),
+      type: 'directory',
+      modified: rootStats.mtime.toISOString(),
+      children: []
+    };
+    const nodes = new Map([[safePath, root]]);
+    let count = 0;
+    let truncated = false;
+    
+    const walker = this.walk(safePath, {
+      exclude: [...DEFAULT_EXCLUDES, ...exclude],
+      maxDepth,
+      gitignore: respectGitignore
+    });
+    
+    for await (const { absolutePath, relativePath, entry } of walker) {
+      if (count >= maxEntries) {
+        truncated = true;
+        break;
+      }
+      
+      let stats;
+      try {
+        stats = await fs.lstat(absolutePath);
+      } catch (error) {
+        this.logger(`Skipping ${absolutePath}: ${error.message}`);
+        continue;
+      }
+      
+      const node = {
+        name: entry.name,
+        path: relativePath,
+        type: entry.isDirectory() ? 'directory' : entry.isSymbolicLink() ? 'symlink' : 'file',
+        modified: stats.mtime.toISOString()
+      };
+      if (entry.isDirectory()) {
+        node.children = [];
+        nodes.set(absolutePath, node);
+      } else {
+        node.size = stats.size;
+      }
+      
+      // walk yields parents before their children, so the parent node already exists
+      nodes.get(path.dirname(absolutePath)).children.push(node);
+      count++;
+    }
+    
+    return { root, count, truncated };
+  }
+  
+  /**
+   * Compute the SHA-256 hash of a file by streaming it
+   * @param {string} safePath - The resolved absolute path
+   * @returns {Promise<string>} - The hex digest
+   */
+  async hashFile(safePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(safePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+  
+  /**
+   * Get a file's SHA-256 hash and line count in one pass, reusing the result while the file's
+   * inode, size and modification time are unchanged, so paging through a large file reads it once
+   * @param {string} safePath - The resolved absolute path
+   * @param {fs.Stats} stats - The file's stats, if already known
+   * @returns {Promise<{hash: string, lines: number}>} - The hex digest and number of lines
+   */
+  async getFileDigest(safePath, stats = null) {
+    stats ??= await fs.stat(safePath);
+    const cached = this.digestCache.get(safePath);
+    if (cached && cached.ino === stats.ino && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached;
+    }
+    
+    const hash = crypto.createHash('sha256');
+    let lines = 0;
+    let lastByte = null;
+    for await (const chunk of createReadStream(safePath)) {
+      hash.update(chunk);
+      for (let index = chunk.indexOf(0x0a); index !== -1; index = chunk.indexOf(0x0a, index + 1)) {
+        lines++;
+      }
+      lastByte = chunk[chunk.length - 1];
+    }
+    // A final line without a trailing newline still counts
+    if (lastByte !== null && lastByte !== 0x0a) {
+      lines++;
+    }
+    
+    const digest = { hash: hash.digest('hex'), lines, ino: stats.ino, size: stats.size, mtimeMs: stats.mtimeMs };
+    this.digestCache.delete(safePath);
+    this.digestCache.set(safePath, digest);
+    if (this.digestCache.size > DIGEST_CACHE_ENTRIES) {
+      this.digestCache.delete(this.digestCache.keys().next().value);
+    }
+    return digest;
+  }
+  
+  /**
+   * Compute the SHA-256 hash of in-memory content
+   * @param {string|Buffer} content - The content to hash
+   * @returns {string} - The hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+  
+  /**
+   * Create the error thrown when a file changed since it was read
+   * @param {string} filePath - The requested path
+   * @param {string} expectedHash - The hash the caller last saw
+   * @param {string|null} currentHash - The hash on disk, or null if the file is gone
+   * @returns {ServiceError} - The conflict error
+   */
+  conflictError(filePath, expectedHash, currentHash) {
+    const current = currentHash ? `current hash ${currentHash}` : 'the file no longer exists';
+    return new ServiceError(
+      ErrorCode.CONFLICT,
+      `Conflict: ${filePath} has changed since it was read (expected hash ${expectedHash}, ${current}). Read the file again before modifying it`,
+      { expectedHash, currentHash }
+    );
+  }
+  
+  /**
+   * Fail if the file on disk no longer matches the hash the caller last read
+   * @param {string} filePath - The requested path (for messages)
+   * @param {string} safePath - The resolved absolute path
+   * @param {string} expectedHash - The expected hash; nothing is checked when omitted
+   * @returns {Promise<void>}
+   */
+  async assertExpectedHash(filePath, safePath, expectedHash) {
+    if (!expectedHash) return;
+    
+    let currentHash = null;
+    try {
+      currentHash = await this.hashFile(safePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    if (currentHash !== expectedHash.toLowerCase()) {
+      throw this.conflictError(filePath, expectedHash, currentHash);
+    }
+  }
+  
+  /**
+   * Write a file atomically: write a temp file next to the target, then rename it over the target.
+   * Symbolic links are written through rather than replaced, so the temp file goes next to the file they point to.
+   * A file with several hard links is written in place instead, since renaming over it would split it from its other names.
+   * @param {string} safePath - The resolved absolute path
+   * @param {string|Buffer} data - The content to write
+   * @returns {Promise<void>}
+   */
+  async writeFileAtomic(safePath, data) {
+    // resolveSafePath has already checked that the link's target stays inside the base directory
+    const targetPath = await this.resolveRealPath(safePath);
+    if (targetPath !== safePath) {
+      const realBase = await this.resolveRealPath(this.baseDirectory);
+      await this.assertAccess(path.join(this.baseDirectory, path.relative(realBase, targetPath)), 'write');
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    }
+    
+    // Keep the permissions of the file being replaced
+    let stats = null;
+    try {
+      stats = await fs.stat(targetPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const encoding = typeof data === 'string' ? 'utf8' : undefined;
+    if (stats && stats.nlink > 1) {
+      await fs.writeFile(targetPath, data, encoding);
+      return;
+    }
+    
+    const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    const handle = await fs.open(tempPath, 'wx', stats?.mode);
+    try {
+      await handle.writeFile(data, encoding);
+      await handle.sync();
+      await handle.close();
+      await fs.rename(tempPath, targetPath);
+    } catch (error) {
+      await handle.close().catch(() => {});
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+  
+  /**
+   * Format a mode as an rwx string, e.g. "-rw-r--r--"
+   * @param {fs.Stats} stats - The stats to format
+   * @returns {string} - The permission string
+   */
+  formatPermissions(stats) {
+    let type = '-';
+    if (stats.isDirectory()) type = 'd';
+    else if (stats.isSymbolicLink()) type = 'l';
+    
+    const bits = ['r', 'w', 'x'];
+    let rwx = '';
+    for (let shift = 8; shift >= 0; shift--) {
+      rwx += stats.mode & (1 << shift) ? bits[(8 - shift) % 3] : '-';
+    }
+    return type + rwx;
+  }
+  
+  /**
+   * Count lines and words in a text file by streaming it
+   * @param {string} safePath - The resolved absolute path
+   * @returns {Promise<{lines: number, words: number}>} - The counts
+   */
+  async countTextStats(safePath) {
+    let lines = 0;
+    let words = 0;
+    let inWord = false;
+    let lastChar = null;
+    for await (const chunk of createReadStream(safePath, { encoding: 'utf8' })) {
+      for (const char of chunk) {
+        if (char === '\n') lines++;
+        const isSpace = /\s/.test(char);
+        if (!isSpace && !inWord) words++;
+        inWord = !isSpace;
+      }
+      lastChar = chunk[chunk.length - 1];
+    }
+    // A final line without a trailing newline still counts, as in getFileDigest
+    if (lastChar !== null && lastChar !== '\n') {
+      lines++;
+    }
+    return { lines, words };
+  }
+  
+  /**
+   * Get metadata for a file or directory without reading its content
+   * @param {string} filePath - The path to inspect
+   * @param {Object} options - Info options
+   * @param {boolean} options.hash - Compute the SHA-256 of the file
+   * @param {boolean} options.counts - Count lines and words (text files only)
+   * @returns {Promise<Object>} - The file metadata
+   */
+  async getFileInfo(filePath, { hash = false, counts = false } = {}) {
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'read');
+    const linkStats = await fs.lstat(safePath);
+    
+    const info = {
+      path: this.toRelativePath(safePath),
+      type: linkStats.isDirectory() ? 'directory' : linkStats.isSymbolicLink() ? 'symlink' : 'file',
+      size: linkStats.size,
+      created: linkStats.birthtime.toISOString(),
+      modified: linkStats.mtime.toISOString(),
+      accessed: linkStats.atime.toISOString(),
+      permissions: {
+        octal: (linkStats.mode & 0o7777).toString(8).padStart(4, '0'),
+        symbolic: this.formatPermissions(linkStats)
+      },
+      owner: {
+        uid: linkStats.uid,
+        gid: linkStats.gid
+      }
+    };
+    
+    // Only the current user's name can be looked up portably
+    try {
+      const currentUser = os.userInfo();
+      if (currentUser.uid === linkStats.uid) {
+        info.owner.name = currentUser.username;
+      }
+    } catch {
+      // No passwd entry for the current user
+    }
+    
+    let stats = linkStats;
+    if (linkStats.isSymbolicLink()) {
+      info.symlinkTarget = await fs.readlink(safePath);
+      try {
+        stats = await fs.stat(safePath);
+        info.targetType = stats.isDirectory() ? 'directory' : 'file';
+      } catch {
+        info.targetType = 'broken';
+        return info;
+      }
+    }
+    
+    if (stats.isFile()) {
+      const type = await this.mimeService.detect(safePath);
+      info.mimeType = type.mimeType;
+      info.isText = type.isText;
+      
+      if (hash) {
+        info.sha256 = await this.hashFile(safePath);
+      }
+      if (counts && type.isText) {
+        Object.assign(info, await this.countTextStats(safePath));
+      }
+    }
+    
+    return info;
+  }
+  
+  /**
+   * Write content to a file
+   * @param {string} filePath - The path to the file
+   * @param {string} content - The content to write
+   * @param {Object} options - Write options
+   * @param {string} options.expectedHash - Refuse to write if the file on disk no longer has this hash
+   * @returns {Promise<{hash: string}>} - The hash of the written content
+   */
+  async writeFile(filePath, content, { expectedHash } = {}) {
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'write');
+    
+    // Create directory if needed
+    const dirPath = path.dirname(safePath);
+    await fs.mkdir(dirPath, { recursive: true });
+    
+    await this.assertExpectedHash(filePath, safePath, expectedHash);
+    
+    // Write file
+    await this.writeFileAtomic(safePath, content);
+    return { hash: this.hashContent(content) };
+  }
+  
+  /**
+   * Edit a text file with exact replacements or a unified diff
+   * @param {string} filePath - The path to the file
+   * @param {Object} options - Edit options
+   * @param {Array<{oldText: string, newText: string}>} options.edits - Replacements applied in order; each oldText must match exactly once
+   * @param {string} options.patch - Unified diff to apply instead of edits
+   * @param {boolean} options.dryRun - Return the diff without writing
+   * @param {string} options.expectedHash - Refuse to edit if the file on disk no longer has this hash
+   * @returns {Promise<{diff: string, changed: boolean, written: boolean, hash: string}>} - The resulting diff and content hash
+   */
+  async editFile(filePath, { edits, patch, dryRun = false, expectedHash } = {}) {
+    const hasEdits = Array.isArray(edits) && edits.length > 0;
+    if (hasEdits === Boolean(patch)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Provide either edits or patch, but not both');
+    }
+    
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'write');
+    const type = await this.mimeService.detect(safePath);
+    if (!type.isText) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Cannot edit binary file (${type.mimeType}): ${filePath}`);
+    }
+    
+    const original = await fs.readFile(safePath, 'utf8');
+    const originalHash = this.hashContent(original);
+    if (expectedHash && originalHash !== expectedHash.toLowerCase()) {
+      throw this.conflictError(filePath, expectedHash, originalHash);
+    }
+    
+    const updated = hasEdits ? this.applyEdits(original, edits) : this.applyUnifiedDiff(original, patch);
+    
+    const relativePath = this.toRelativePath(safePath);
+    const diff = createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, original, updated, undefined, undefined, { context: 3 })
+      // Drop jsdiff's "====" separator so the output looks like git diff
+      .replace(/^=+\n/, '');
+    const changed = updated !== original;
+    
+    if (!dryRun && changed) {
+      await this.writeFileAtomic(safePath, updated);
+      this.logger(`Edited file: ${safePath}`);
+    }
+    
+    const written = !dryRun && changed;
+    return { diff, changed, written, hash: written ? this.hashContent(updated) : originalHash };
+  }
+  
+  /**
+   * Apply exact-text replacements, failing on missing or ambiguous matches
+   * @param {string} content - The original content
+   * @param {Array<{oldText: string, newText: string}>} edits - The replacements
+   * @returns {string} - The updated content
+   */
+  applyEdits(content, edits) {
+    return edits.reduce((current, { oldText, newText }, index) => {
+      if (!oldText) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Edit ${index + 1}: oldText must not be empty`);
+      }
+      
+      const first = current.indexOf(oldText);
+      if (first === -1) {
+        throw new ServiceError(ErrorCode.CONFLICT, `Edit ${index + 1}: oldText not found in file`);
+      }
+      if (current.indexOf(oldText, first + 1) !== -1) {
+        const occurrences = current.split(oldText).length - 1;
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Edit ${index + 1}: oldText is ambiguous (${occurrences} matches). Include more surrounding context`);
+      }
+      
+      return current.substring(0, first) + newText + current.substring(first + oldText.length);
+    }, content);
+  }
+  
+  /**
+   * Apply a single-file unified diff
+   * @param {string} content - The original content
+   * @param {string} patch - The unified diff
+   * @returns {string} - The updated content
+   */
+  applyUnifiedDiff(content, patch) {
+    let patches;
+    try {
+      patches = parsePatch(patch);
+    } catch (error) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid patch: ${error.message}`);
+    }
+    
+    if (patches.length !== 1 || patches[0].hunks.length === 0) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Patch must contain hunks for exactly one file (found ${patches.length} files)`);
+    }
+    
+    const result = applyPatch(content, patches[0]);
+    if (result === false) {
+      throw new ServiceError(ErrorCode.CONFLICT, 'Patch does not apply cleanly to the current file content');
+    }
+    return result;
+  }
+  
+  /**
+   * Resolve and validate a source/destination pair for copy and move
+   * @param {string} source - The source path
+   * @param {string} destination - The destination path
+   * @returns {Promise<{sourcePath: string, destinationPath: string, sourceStats: fs.Stats, destinationStats: fs.Stats|null}>}
+   */
+  async resolveTransferPaths(source, destination) {
+    const sourcePath = await this.resolveSafePath(source);
+    const destinationPath = await this.resolveSafePath(destination);
+    
+    if (sourcePath === this.baseDirectory || destinationPath === this.baseDirectory) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'The base directory itself cannot be copied, moved or replaced');
+    }
+    if (sourcePath === destinationPath) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Source and destination are the same path');
+    }
+    
+    const sourceStats = await fs.lstat(sourcePath);
+    
+    const inside = path.relative(sourcePath, destinationPath);
+    if (sourceStats.isDirectory() && !inside.startsWith('..') && !path.isAbsolute(inside)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Cannot copy or move a directory into itself');
+    }
+    
+    let destinationStats = null;
+    try {
+      destinationStats = await fs.lstat(destinationPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    return { sourcePath, destinationPath, sourceStats, destinationStats };
+  }
+  
+  /**
+   * Copy a file or directory tree, preserving permissions and timestamps
+   * @param {string} source - The source path
+   * @param {string} destination - The destination path (the full target path, not a parent directory)
+   * @param {Object} options - Copy options
+   * @param {string} options.overwrite - 'fail' (default), 'overwrite' or 'skip' when the destination exists
+   * @returns {Promise<{copied: number, skipped: number, replaced: number}>} - Counts of files copied, skipped and moved to the trash
+   */
+  async copyPath(source, destination, { overwrite = 'fail' } = {}) {
+    const { sourcePath, destinationPath, destinationStats } = await this.resolveTransferPaths(source, destination);
+    await this.assertAccess(sourcePath, 'read', { recursive: true });
+    await this.assertAccess(destinationPath, 'write', { recursive: true });
+    await this.assertTransferAccess(sourcePath, destinationPath);
+    
+    if (destinationStats && overwrite === 'fail') {
+      throw new ServiceError(ErrorCode.ALREADY_EXISTS, `Destination already exists: ${destination}. Use overwrite: "overwrite" or "skip"`);
+    }
+    
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    
+    const counts = { copied: 0, skipped: 0, replaced: 0 };
+    await this.copyRecursive(sourcePath, destinationPath, overwrite, counts);
+    this.logger(`Copied ${sourcePath} to ${destinationPath} (${counts.copied} copied, ${counts.skipped} skipped, ${counts.replaced} replaced)`);
+    return counts;
+  }
+  
+  /**
+   * Copy one entry, recursing into directories
+   * @param {string} sourcePath - The absolute source path
+   * @param {string} destinationPath - The absolute destination path
+   * @param {string} overwrite - The overwrite policy
+   * @param {{copied: number, skipped: number, replaced: number}} counts - Running totals
+   * @returns {Promise<void>}
+   */
+  async copyRecursive(sourcePath, destinationPath, overwrite, counts) {
+    const stats = await fs.lstat(sourcePath);
+    
+    let existing = null;
+    try {
+      existing = await fs.lstat(destinationPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    if (stats.isDirectory()) {
+      if (existing && !existing.isDirectory()) {
+        if (overwrite === 'skip') {
+          counts.skipped++;
+          return;
+        }
+        await this.trashReplaced(destinationPath);
+        counts.replaced++;
+        existing = null;
+      }
+      if (!existing) {
+        await fs.mkdir(destinationPath, { mode: stats.mode });
+      }
+      
+      for (const entry of await fs.readdir(sourcePath)) {
+        await this.copyRecursive(path.join(sourcePath, entry), path.join(destinationPath, entry), overwrite, counts);
+      }
+      
+      await fs.chmod(destinationPath, stats.mode);
+      await fs.utimes(destinationPath, stats.atimeMs / 1000, stats.mtimeMs / 1000);
+      return;
+    }
+    
+    if (existing) {
+      if (overwrite === 'skip') {
+        counts.skipped++;
+        return;
+      }
+      await this.trashReplaced(destinationPath, { isDirectory: false });
+      counts.replaced++;
+    }
+    
+    if (stats.isSymbolicLink()) {
+      // Copy links as links; their targets are not followed
+      await fs.symlink(await fs.readlink(sourcePath), destinationPath);
+    } else {
+      await fs.copyFile(sourcePath, destinationPath);
+      await fs.chmod(destinationPath, stats.mode);
+      await fs.utimes(destinationPath, stats.atimeMs / 1000, stats.mtimeMs / 1000);
+    }
+    counts.copied++;
+  }
+  
+  /**
+   * Move or rename a file or directory tree
+   * @param {string} source - The source path
+   * @param {string} destination - The destination path (the full target path, not a parent directory)
+   * @param {Object} options - Move options
+   * @param {string} options.overwrite - 'fail' (default), 'overwrite' or 'skip' when the destination exists
+   * @returns {Promise<{moved: boolean, replaced: Object|null}>} - Whether the source was moved, and the trash entry of the destination it replaced
+   */
+  async movePath(source, destination, { overwrite = 'fail' } = {}) {
+    const { sourcePath, destinationPath, destinationStats } = await this.resolveTransferPaths(source, destination);
+    await this.assertAccess(sourcePath, 'write', { recursive: true });
+    await this.assertAccess(destinationPath, 'write', { recursive: true });
+    await this.assertTransferAccess(sourcePath, destinationPath);
+    
+    let replaced = null;
+    if (destinationStats) {
+      if (overwrite === 'fail') {
+        throw new ServiceError(ErrorCode.ALREADY_EXISTS, `Destination already exists: ${destination}. Use overwrite: "overwrite" or "skip"`);
+      }
+      if (overwrite === 'skip') {
+        return { moved: false, replaced };
+      }
+      
+      // Replacing a directory that holds the source would move the source to the trash with it
+      const outside = path.relative(destinationPath, sourcePath);
+      if (!outside.startsWith('..') && !path.isAbsolute(outside)) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Cannot replace ${destination || '/'}: it contains the source`);
+      }
+      replaced = await this.trashReplaced(destinationPath);
+    }
+    
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await this.renameOrCopy(sourcePath, destinationPath);
+    
+    this.logger(`Moved ${sourcePath} to ${destinationPath}`);
+    return { moved: true, replaced };
+  }
+  
+  /**
+   * Rename a path, falling back to copy and remove across devices
+   * @param {string} sourcePath - The absolute source path
+   * @param {string} destinationPath - The absolute destination path
+   * @returns {Promise<void>}
+   */
+  async renameOrCopy(sourcePath, destinationPath) {
+    try {
+      await fs.rename(sourcePath, destinationPath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      
+      // Rename cannot cross devices, so copy then remove the source
+      await this.copyRecursive(sourcePath, destinationPath, 'overwrite', { copied: 0, skipped: 0, replaced: 0 });
+      await fs.rm(sourcePath, { recursive: true, force: true });
+    }
+  }
+  
+  /**
+   * Compute the total size of a file or directory tree
+   * @param {string} safePath - The resolved absolute path
+   * @returns {Promise<number>} - The size in bytes
+   */
+  async getTreeSize(safePath) {
+    const stats = await fs.lstat(safePath);
+    if (!stats.isDirectory()) {
+      return stats.size;
+    }
+    
+    let total = 0;
+    for await (const { absolutePath, entry } of this.walk(safePath, { exclude: [] })) {
+      if (entry.isDirectory()) continue;
+      try {
+        total += (await fs.lstat(absolutePath)).size;
+      } catch (error) {
+        this.logger(`Skipping ${absolutePath}: ${error.message}`);
+      }
+    }
+    return total;
+  }
+  
+  /**
+   * Delete a file or directory by moving it to the trash
+   * @param {string} filePath - The path to delete
+   * @param {Object} options - Delete options
+   * @param {string} options.expectedHash - Refuse to delete a file that no longer has this hash
+   * @param {boolean} options.confirm - Required to delete the base directory or a directory above the size threshold
+   * @returns {Promise<Object>} - The trash entry for the deleted item
+   */
+  async deleteFile(filePath, { expectedHash, confirm = false } = {}) {
+    if (!this.trashService) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, 'Trash is not configured; refusing to delete');
+    }
+    
+    const safePath = await this.resolveSafePath(filePath);
+    await this.assertAccess(safePath, 'write', { recursive: true });
+    
+    // Check if it exists
+    const stats = await fs.lstat(safePath);
+    
+    if (expectedHash) {
+      if (stats.isDirectory()) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'expectedHash can only be used when deleting a file, not a directory');
+      }
+      await this.assertExpectedHash(filePath, safePath, expectedHash);
+    }
+    
+    const isRoot = safePath === this.baseDirectory;
+    if (isRoot && !confirm) {
+      throw new ServiceError(ErrorCode.CONFIRMATION_REQUIRED, 'Refusing to delete the base directory itself without confirm: true');
+    }
+    
+    this.assertOutsideTrash(safePath);
+    
+    const size = await this.getTreeSize(safePath);
+    if (stats.isDirectory() && size > this.confirmDeleteAboveBytes && !confirm) {
+      throw new ServiceError(
+        ErrorCode.CONFIRMATION_REQUIRED,
+        `Refusing to delete ${filePath}: directory holds ${size} bytes, above the ${this.confirmDeleteAboveBytes} byte threshold. Pass confirm: true to proceed`
+      );
+    }
+    
+    const entry = await this.moveToTrash(safePath, stats, size);
+    
+    // Keep the base directory in place so later operations still have a root
+    if (isRoot) {
+      await fs.mkdir(safePath, { recursive: true });
+    }
+    
+    await this.trashService.purgeExpired();
+    return entry;
+  }
+  
+  /**
+   * Fail if a path contains the trash directory, which cannot be moved into itself
+   * @param {string} safePath - The resolved absolute path
+   */
+  assertOutsideTrash(safePath) {
+    const trashRelative = path.relative(safePath, this.trashService.trashDirectory);
+    if (!trashRelative.startsWith('..') && !path.isAbsolute(trashRelative)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Cannot remove ${this.toRelativePath(safePath) || '/'}: it contains the trash directory`);
+    }
+  }
+  
+  /**
+   * Move a file or directory into a new trash entry
+   * @param {string} safePath - The resolved absolute path
+   * @param {fs.Stats} stats - The entry's lstat result
+   * @param {number} size - The entry's total size in bytes
+   * @param {Object} metadata - Extra fields recorded with the entry
+   * @returns {Promise<Object>} - The trash entry
+   */
+  async moveToTrash(safePath, stats, size, metadata = {}) {
+    const { id, itemPath } = await this.trashService.prepare();
+    try {
+      await this.renameOrCopy(safePath, itemPath);
+    } catch (error) {
+      await this.trashService.remove(id);
+      throw error;
+    }
+    
+    return this.trashService.commit(id, {
+      originalPath: safePath,
+      baseDirectory: this.baseDirectory,
+      relativePath: this.toRelativePath(safePath),
+      isDirectory: stats.isDirectory(),
+      size,
+      ...metadata
+    });
+  }
+  
+  /**
+   * Move an existing destination to the trash before it is overwritten, so the overwrite can be undone
+   * @param {string} safePath - The resolved absolute path being replaced
+   * @param {Object} options - Replace options
+   * @param {boolean} options.confirm - Required to replace the base directory itself
+   * @param {boolean} options.isDirectory - Whether the replacement is a directory; the base directory can only be replaced by one
+   * @returns {Promise<Object>} - The trash entry of the replaced item
+   */
+  async trashReplaced(safePath, { confirm = false, isDirectory = true } = {}) {
+    if (!this.trashService) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, 'Trash is not configured; refusing to overwrite');
+    }
+    
+    if (safePath === this.baseDirectory) {
+      if (!isDirectory) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'The base directory can only be replaced by a directory');
+      }
+      if (!confirm) {
+        throw new ServiceError(ErrorCode.CONFIRMATION_REQUIRED, 'Refusing to replace the base directory itself without confirm: true');
+      }
+    }
+    this.assertOutsideTrash(safePath);
+    
+    const stats = await fs.lstat(safePath);
+    const entry = await this.moveToTrash(safePath, stats, await this.getTreeSize(safePath), { overwritten: true });
+    this.logger(`Moved overwritten ${safePath} to trash (id: ${entry.id})`);
+    return entry;
+  }
+  
+  /**
+   * List items in the trash
+   * @returns {Promise<Array>} - Trash entries, newest first
+   */
+  async listTrash() {
+    if (!this.trashService) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, 'Trash is not configured');
+    }
+    return this.trashService.list();
+  }
+  
+  /**
+   * Restore an item from the trash
+   * @param {string} id - The trash entry ID
+   * @param {Object} options - Restore options
+   * @param {string} options.destination - Path to restore to (defaults to the original relative path)
+   * @param {string} options.overwrite - 'fail' (default) or 'overwrite' when the destination exists; the existing item goes to the trash
+   * @param {boolean} options.confirm - Required to replace the base directory itself
+   * @returns {Promise<{entry: Object, restoredTo: string, replaced: Object|null}>} - The restored entry, its new path and the trash entry of what it replaced
+   */
+  async restoreFromTrash(id, { destination, overwrite = 'fail', confirm = false } = {}) {
+    if (!this.trashService) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, 'Trash is not configured');
+    }
+    
+    const entry = await this.trashService.get(id);
+    const target = destination ?? entry.relativePath;
+    const destinationPath = await this.resolveSafePath(target);
+    await this.assertAccess(destinationPath, 'write', { recursive: true });
+    await this.assertTransferAccess(this.trashService.itemPath(id), destinationPath);
+    
+    let exists = true;
+    try {
+      await fs.lstat(destinationPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      exists = false;
+    }
+    
+    let replaced = null;
+    if (exists) {
+      const isRoot = destinationPath === this.baseDirectory;
+      if (isRoot && entry.isDirectory && (await fs.readdir(destinationPath)).length === 0) {
+        // An emptied base directory, as left by deleting the root, is simply replaced
+        await fs.rmdir(destinationPath);
+      } else if (overwrite !== 'overwrite') {
+        throw new ServiceError(ErrorCode.ALREADY_EXISTS, `Destination already exists: ${target || '/'}. Use overwrite: "overwrite" or restore to another destination`);
+      } else {
+        replaced = await this.trashReplaced(destinationPath, { confirm, isDirectory: entry.isDirectory });
+      }
+    }
+    
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await this.renameOrCopy(this.trashService.itemPath(id), destinationPath);
+    await this.trashService.remove(id);
+    
+    this.logger(`Restored trash entry ${id} to ${destinationPath}`);
+    return { entry, restoredTo: this.toRelativePath(destinationPath), replaced };
+  }
+  
+  /**
+   * Permanently delete items from the trash
+   * @param {Object} options - Which entries to remove (see TrashService.empty)
+   * @returns {Promise<Array>} - The removed entries
+   */
+  async emptyTrash(options = {}) {
+    if (!this.trashService) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, 'Trash is not configured');
     }
+    return this.trashService.empty(options);
   }
 }
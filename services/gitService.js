@@ -1,17 +1,155 @@
 // services/gitService.js
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
+import path from 'path';
+import { ServiceError, ErrorCode } from './serviceError.js';
 
-// Promisify exec for cleaner async/await usage
-const execAsync = promisify(exec);
+// Default limits for a single git command
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// Time a stopped git command gets to remove its lock files before it is killed outright
+const KILL_GRACE_MS = 2000;
+
+// Environment that keeps git from waiting for input nobody can give: no credential or passphrase
+// prompts, and no editor or pager (git treats ":" as "leave the message as is" and "cat" as no pager)
+const NON_INTERACTIVE_ENV = {
+  GIT_TERMINAL_PROMPT: '0',
+  GIT_ASKPASS: '',
+  SSH_ASKPASS: '',
+  GCM_INTERACTIVE: 'never',
+  GIT_EDITOR: ':',
+  GIT_SEQUENCE_EDITOR: ':',
+  GIT_MERGE_AUTOEDIT: 'no',
+  GIT_PAGER: 'cat',
+  PAGER: 'cat'
+};
+
+// Configuration the structured git tools run with, so nothing written into the work tree can make them
+// run a program: no hooks, no fsmonitor daemon, and no repository discovered from a directory that only
+// looks like a bare repository. git_command keeps the repository's own configuration.
+const HARDENED_CONFIG = [
+  '-c', 'core.hooksPath=/dev/null',
+  '-c', 'core.fsmonitor=false',
+  '-c', 'safe.bareRepository=explicit'
+];
+
+// Subcommands that may be run, with the flags each accepts.
+// "--flag=" takes a value (attached or as the next argument), "--flag?" only takes an attached value
+// (e.g. --color=always, -U5), and a plain "--flag" takes none. Flags that open an editor or pager
+// interactively, write to arbitrary paths, or run programs (--output, --exec, --upload-pack, -c) are left out.
+const GIT_SUBCOMMANDS = {
+  status: ['-s', '--short', '-b', '--branch', '--porcelain?', '--long', '-u?', '--untracked-files?', '--ignored?', '-v', '--verbose', '--show-stash', '--ahead-behind', '--no-ahead-behind', '-z', '--renames', '--no-renames'],
+  log: ['-n=', '--max-count=', '--skip=', '--oneline', '--graph', '--decorate?', '--no-decorate', '--all', '--branches?', '--tags?', '--remotes?', '--stat?', '--shortstat', '--numstat', '--name-only', '--name-status', '-p', '--patch', '--no-patch', '--format=', '--pretty?', '--since=', '--until=', '--after=', '--before=', '--author=', '--committer=', '--grep=', '-i', '--regexp-ignore-case', '--reverse', '--first-parent', '--merges', '--no-merges', '--abbrev-commit', '--date=', '--relative-date', '--follow', '-L=', '-S=', '-G=', '--color?', '--no-color', '-z', '-M?', '--left-right', '--cherry-pick', '--boundary'],
+  show: ['--stat?', '--shortstat', '--numstat', '--name-only', '--name-status', '--format=', '--pretty?', '--oneline', '-s', '--no-patch', '-p', '--patch', '--abbrev-commit', '--date=', '--color?', '--no-color', '-U?', '--unified=', '-w', '--ignore-all-space', '-q', '--quiet'],
+  diff: ['--cached', '--staged', '--stat?', '--shortstat', '--numstat', '--name-only', '--name-status', '--summary', '--raw', '-p', '--patch', '--color?', '--no-color', '-U?', '--unified=', '-w', '--ignore-all-space', '-b', '--ignore-space-change', '--ignore-blank-lines', '--word-diff?', '--patience', '--histogram', '--minimal', '-M?', '--find-renames?', '--no-renames', '--diff-filter=', '-R', '-z', '--check', '--exit-code', '--quiet', '--relative?', '--merge-base'],
+  branch: ['-a', '--all', '-r', '--remotes', '-v', '--verbose', '-d', '-D', '--delete', '-m', '-M', '--move', '-c', '-C', '--copy', '-l', '--list', '--contains?', '--no-contains?', '--merged?', '--no-merged?', '--show-current', '--sort=', '--format=', '-u=', '--set-upstream-to=', '--unset-upstream', '-t', '--track?', '--no-track', '-f', '--force', '--color?', '--no-color', '--points-at='],
+  checkout: ['-b=', '-B=', '-f', '--force', '-t', '--track?', '--no-track', '--orphan=', '--detach', '-q', '--quiet', '--ours', '--theirs', '-m', '--merge'],
+  switch: ['-c=', '-C=', '--create=', '--force-create=', '-d', '--detach', '-f', '--force', '--discard-changes', '-t', '--track?', '--no-track', '--orphan=', '-q', '--quiet', '--guess', '--no-guess'],
+  add: ['-A', '--all', '--no-all', '-u', '--update', '-f', '--force', '-n', '--dry-run', '-v', '--verbose', '-N', '--intent-to-add', '--ignore-errors', '--renormalize'],
+  commit: ['-m=', '--message=', '-a', '--all', '--amend', '--no-edit', '-s', '--signoff', '--allow-empty', '--allow-empty-message', '-q', '--quiet', '-v', '--verbose', '--author=', '--date=', '-n', '--no-verify', '--fixup=', '--squash=', '-o', '--only', '-i', '--include', '--reset-author', '--dry-run', '--short', '--porcelain', '--cleanup='],
+  restore: ['-s=', '--source=', '-S', '--staged', '-W', '--worktree', '-q', '--quiet', '--ours', '--theirs', '-m', '--merge', '--ignore-unmerged', '--overlay', '--no-overlay'],
+  reset: ['--soft', '--mixed', '--hard', '--merge', '--keep', '-q', '--quiet', '--no-refresh'],
+  stash: ['-m=', '--message=', '-u', '--include-untracked', '-a', '--all', '-k', '--keep-index', '--no-keep-index', '-S', '--staged', '-q', '--quiet', '--index', '--stat'],
+  tag: ['-a', '--annotate', '-m=', '--message=', '-d', '--delete', '-l', '--list', '-n?', '--sort=', '--contains?', '--no-contains?', '--points-at=', '--merged?', '--no-merged?', '-f', '--force', '-v', '--verify', '--format='],
+  fetch: ['--all', '-p', '--prune', '-P', '--prune-tags', '-t', '--tags', '--no-tags', '--dry-run', '-q', '--quiet', '-v', '--verbose', '--depth=', '--unshallow', '-f', '--force'],
+  pull: ['-r', '--rebase?', '--no-rebase', '--ff', '--no-ff', '--ff-only', '-q', '--quiet', '-v', '--verbose', '-t', '--tags', '--no-tags', '-p', '--prune', '--autostash', '--no-autostash', '--squash', '--no-commit', '--no-edit'],
+  push: ['-u', '--set-upstream', '--tags', '--follow-tags', '--force-with-lease?', '-f', '--force', '-d', '--delete', '-n', '--dry-run', '-q', '--quiet', '-v', '--verbose', '--all', '--no-verify', '--atomic'],
+  merge: ['--ff', '--no-ff', '--ff-only', '--squash', '--abort', '--continue', '--quit', '--commit', '--no-commit', '-m=', '--no-edit', '-q', '--quiet', '-v', '--verbose', '--stat', '-n', '--no-stat', '-s=', '--strategy=', '-X=', '--strategy-option=', '--allow-unrelated-histories'],
+  rebase: ['--continue', '--abort', '--skip', '--quit', '--onto=', '--autostash', '--no-autostash', '-q', '--quiet', '-v', '--verbose', '--keep-empty', '--root'],
+  remote: ['-v', '--verbose'],
+  'rev-parse': ['--abbrev-ref?', '--short?', '--verify', '-q', '--quiet', '--show-toplevel', '--is-inside-work-tree', '--symbolic-full-name', '--all', '--branches', '--tags'],
+  'ls-files': ['-c', '--cached', '-d', '--deleted', '-m', '--modified', '-o', '--others', '-i', '--ignored', '-s', '--stage', '-u', '--unmerged', '-z', '--exclude-standard', '-t', '--full-name', '--error-unmatch', '--directory'],
+  'ls-tree': ['-r', '-t', '-d', '--name-only', '--name-status', '-l', '--long', '-z', '--full-name', '--full-tree', '--abbrev?'],
+  'cat-file': ['-p', '-t', '-s', '-e'],
+  blame: ['-L=', '-w', '-M?', '-C?', '-e', '--show-email', '-l', '-s', '-t', '-p', '--porcelain', '--line-porcelain', '-c', '--root', '--date='],
+  grep: ['-i', '--ignore-case', '-n', '--line-number', '-w', '--word-regexp', '-v', '--invert-match', '-l', '--files-with-matches', '-L', '--files-without-match', '-c', '--count', '-E', '--extended-regexp', '-F', '--fixed-strings', '-P', '--perl-regexp', '-e=', '--cached', '--untracked', '-A=', '-B=', '-C=', '--heading', '--break', '-h', '-H', '--all-match', '-I', '--max-depth=', '--and', '--or', '--not', '-o', '--only-matching', '-q', '--quiet'],
+  describe: ['--tags', '--all', '--always', '--long', '--abbrev?', '--dirty?', '--exact-match', '--match=', '--exclude=', '--contains'],
+  shortlog: ['-s', '--summary', '-n', '--numbered', '-e', '--email', '--since=', '--until=', '--all', '--no-merges'],
+  reflog: ['-n=', '--max-count=', '--oneline', '--date=', '--all'],
+  mv: ['-f', '--force', '-k', '-n', '--dry-run', '-v', '--verbose'],
+  rm: ['-f', '--force', '--cached', '-r', '-n', '--dry-run', '-q', '--quiet', '--ignore-unmatch'],
+  clean: ['-n', '--dry-run', '-d', '-f', '--force', '-q', '--quiet', '-e=', '--exclude='],
+  'cherry-pick': ['--continue', '--abort', '--skip', '--quit', '-n', '--no-commit', '-x', '--ff', '-m=', '--mainline=', '-s', '--signoff', '--allow-empty'],
+  revert: ['--continue', '--abort', '--skip', '--quit', '-n', '--no-commit', '--no-edit', '-m=', '--mainline=', '-s', '--signoff'],
+  version: []
+};
+
+// Characters PowerShell accepts as single quotes: the ASCII apostrophe and U+2018 to U+201B
+const POWERSHELL_QUOTES = /['\u2018\u2019\u201A\u201B]/g;
+
+// Subcommands that only read, so the paths they name need read access rather than write access
+const READ_ONLY_SUBCOMMANDS = ['status', 'log', 'show', 'diff', 'blame', 'grep', 'ls-files', 'ls-tree', 'cat-file', 'describe', 'shortlog', 'reflog', 'rev-parse', 'version'];
+
+// The path part of a revision:path argument, such as HEAD:src/a.js or :0:src/a.js for an index stage
+const OBJECT_PATH = /^[^:]*:(?:[0-3]:)?(.*)$/;
+
+// Subcommands that accept a count shorthand such as "log -5"
+const COUNT_SHORTHAND = ['log', 'show', 'shortlog', 'reflog'];
+
+// Readable names for the status letters used by git status and git log --name-status
+const STATUS_NAMES = {
+  M: 'modified',
+  T: 'typechange',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'unmerged'
+};
+
+// git log format: records start with \x1e, fields are separated by \x1f, and \x1d ends the message body
+const LOG_FORMAT = '%x1e%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%P%x1f%s%x1f%b%x1d';
+
+// Unquoted characters with a meaning to a shell; no shell is used, so they are refused rather than passed on
+const SHELL_OPERATORS = /[;&|<>`]/;
+
+// Absolute paths and ".." segments, which could point git at files outside the base directory
+const OUTSIDE_PATH = /^([\\/]|[a-zA-Z]:)|(^|[\\/])\.\.([\\/]|$)/;
+
+/**
+ * Turn a list of flag specs into a map of flag name to how it takes a value
+ * @param {string[]} specs - Flag specs such as '-m=', '--color?' or '--all'
+ * @returns {Map<string, string>} - Flag name mapped to 'none', 'required' or 'attached'
+ */
+function buildFlagRules(specs) {
+  return new Map(specs.map(spec => {
+    if (spec.endsWith('=')) return [spec.slice(0, -1), 'required'];
+    if (spec.endsWith('?')) return [spec.slice(0, -1), 'attached'];
+    return [spec, 'none'];
+  }));
+}
+
+const FLAG_RULES = Object.fromEntries(
+  Object.entries(GIT_SUBCOMMANDS).map(([subcommand, specs]) => [subcommand, buildFlagRules(specs)])
+);
 
 /**
  * Service for Git operations
  */
 export class GitService {
-  constructor(baseDirectory, logger) {
+  /**
+   * Create a new git service
+   * @param {string} baseDirectory - The directory git runs in
+   * @param {function} logger - The logger function
+   * @param {Object} options - Execution limits
+   * @param {number} options.timeoutMs - Milliseconds before a git command is killed (0 disables the timeout)
+   * @param {number} options.maxOutputBytes - Output kept from a git command before it is truncated and stopped
+   */
+  constructor(baseDirectory, logger, { timeoutMs = DEFAULT_TIMEOUT_MS, maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES } = {}) {
     this.baseDirectory = baseDirectory;
     this.logger = logger;
+    this.timeoutMs = timeoutMs;
+    this.maxOutputBytes = maxOutputBytes;
+    this.signal = null;
+  }
+  
+  /**
+   * Get a view of this service whose commands are killed when a request is cancelled
+   * @param {AbortSignal} signal - The request's abort signal
+   * @returns {GitService} - The same service, bound to the signal
+   */
+  withSignal(signal) {
+    return Object.create(this, { signal: { value: signal || null } });
   }
   
   /**
@@ -25,89 +163,1162 @@ export class GitService {
   /**
    * Executes a git command
    * @param {string} command - The git command to execute (without the 'git' prefix)
-   * @param {string} shell - Optional shell to use (cmd, powershell, bash)
-   * @returns {Promise<{stdout: string, stderr: string}>} - Command output
+   * @param {string} shell - Optional shell to run git through (cmd, powershell, bash), kept for compatibility
+   * @param {Object} options - Execution options
+   * @param {boolean} options.confirm - Required for destructive commands such as reset --hard or force push
+   * @param {number} options.timeoutMs - Override the configured timeout for this command
+   * @returns {Promise<{stdout: string, stderr: string, truncated: boolean}>} - Command output
    */
-  async executeGitCommand(command, shell) {
-    // Validate the command to prevent command injection
-    if (!this.isValidGitCommand(command)) {
-      throw new Error(`Invalid git command: ${command}`);
+  async executeGitCommand(command, shell, { confirm = false, timeoutMs } = {}) {
+    // Validate the command against the subcommand and flag allowlist
+    const parsed = this.parseGitCommand(command);
+    const { args } = parsed;
+    
+    const destructive = await this.getDestructiveReason(parsed);
+    if (destructive && !confirm) {
+      throw new ServiceError(ErrorCode.CONFIRMATION_REQUIRED, `Refusing to run "git ${command.trim()}" without confirm: true: it ${destructive}`);
     }
-
-    this.logger(`Executing git command: git ${command} in directory: ${this.baseDirectory}`);
     
-    try {
-      let fullCommand;
+    // Run through a shell only when one is explicitly requested
+    if (shell) {
+      const invocation = this.getShellInvocation(shell, args);
+      this.logger(`Using shell: ${shell}`);
+      return this.run(invocation.file, invocation.args, { timeoutMs, hardened: false });
+    }
+    
+    return this.run('git', args, { timeoutMs, hardened: false });
+  }
+  
+  /**
+   * Run an executable with an argument array in the base directory, without a shell and without a terminal.
+   * The command is killed when it times out, when the request is cancelled, or once its output passes the limit,
+   * in which case the output collected so far is returned with `truncated` set.
+   * @param {string} file - The executable ('git', or a shell for the compatibility path)
+   * @param {string[]} args - The arguments
+   * @param {Object} options - Run options
+   * @param {string} options.encoding - Output encoding, or 'buffer' for raw bytes (default 'utf8')
+   * @param {number} options.timeoutMs - Override the configured timeout
+   * @param {boolean} options.hardened - Run git with hooks and fsmonitor disabled (default true)
+   * @returns {Promise<{stdout: string|Buffer, stderr: string|Buffer, truncated: boolean}>} - Command output
+   */
+  run(file, args, { encoding = 'utf8', timeoutMs = this.timeoutMs, hardened = true } = {}) {
+    if (hardened && file === 'git') {
+      args = [...HARDENED_CONFIG, ...args];
+    }
+    this.logger(`Executing git command: ${file} ${JSON.stringify(args)} in directory: ${this.baseDirectory}`);
+    
+    const signal = this.signal;
+    if (signal?.aborted) {
+      return Promise.reject(new ServiceError(ErrorCode.CANCELLED, 'Git command cancelled'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, args, {
+        cwd: this.baseDirectory,
+        env: { ...process.env, ...NON_INTERACTIVE_ENV },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Its own process group on POSIX, so helpers git starts (ssh, hooks) are killed with it
+        detached: process.platform !== 'win32',
+        windowsHide: true
+      });
       
-      // Use shell-specific execution if a shell is specified
-      if (shell) {
-        const shellPrefix = this.getShellPrefix(shell);
-        fullCommand = `${shellPrefix} "git ${command.replace(/"/g, '\\"')}"`;
-        this.logger(`Using shell: ${shell}, full command: ${fullCommand}`);
-      } else {
-        fullCommand = `git ${command}`;
+      const output = { stdout: [], stderr: [] };
+      const sizes = { stdout: 0, stderr: 0 };
+      let truncated = false;
+      let stopReason = null;
+      let settled = false;
+      let killTimer = null;
+      
+      const kill = signalName => {
+        try {
+          if (process.platform !== 'win32') {
+            process.kill(-child.pid, signalName);
+          } else {
+            child.kill(signalName);
+          }
+        } catch {
+          // The process already exited
+        }
+      };
+      
+      const stop = reason => {
+        if (stopReason) return;
+        stopReason = reason;
+        kill('SIGTERM');
+        killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS);
+      };
+      
+      const collect = stream => chunk => {
+        const room = this.maxOutputBytes - sizes[stream];
+        if (room <= 0) return;
+        output[stream].push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+        sizes[stream] += Math.min(chunk.length, room);
+        if (chunk.length > room && stream === 'stdout') {
+          truncated = true;
+          stop('truncated');
+        }
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+      
+      const timer = timeoutMs ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+      const onAbort = () => stop('cancelled');
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      const finish = error => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+        
+        const decode = chunks => {
+          const buffer = Buffer.concat(chunks);
+          return encoding === 'buffer' ? buffer : buffer.toString(encoding);
+        };
+        const stdout = decode(output.stdout);
+        const stderr = decode(output.stderr);
+        
+        if (!error && stopReason === 'timeout') {
+          error = new ServiceError(ErrorCode.TIMEOUT, `Git command timed out after ${timeoutMs} ms: ${file} ${args.join(' ')}`);
+        } else if (!error && stopReason === 'cancelled') {
+          error = new ServiceError(ErrorCode.CANCELLED, `Git command cancelled: ${file} ${args.join(' ')}`);
+        }
+        
+        if (error) {
+          this.logger(`Error executing git command: ${error.message}`);
+          Object.assign(error, { stdout, stderr });
+          reject(error);
+          return;
+        }
+        
+        if (truncated) {
+          this.logger(`Git command output truncated at ${this.maxOutputBytes} bytes`);
+        } else {
+          this.logger(`Git command executed successfully.`);
+        }
+        resolve({ stdout, stderr, truncated });
+      };
+      
+      child.on('error', error => {
+        finish(new ServiceError(ErrorCode.GIT_FAILED, `Could not run ${file}: ${error.message}`));
+      });
+      child.on('close', code => {
+        if (code !== 0 && !stopReason) {
+          const stderr = Buffer.concat(output.stderr).toString();
+          finish(new ServiceError(ErrorCode.GIT_FAILED, `Command failed: ${file} ${args.join(' ')}\n${stderr}`, { exitCode: code }));
+          return;
+        }
+        finish(null);
+      });
+    });
+  }
+  
+  /**
+   * Split a command line into arguments, honouring single and double quotes.
+   * Backslashes only escape quotes inside double quotes, so Windows paths pass through unchanged.
+   * @param {string} command - The command line
+   * @returns {string[]} - The arguments
+   */
+  tokenizeCommand(command) {
+    if (/[\r\n\0]/.test(command)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Git commands must be a single line');
+    }
+    
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let quote = null;
+    
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i];
+      
+      if (quote === "'") {
+        if (char === "'") quote = null;
+        else current += char;
+        continue;
       }
       
-      // Execute the command
-      const { stdout, stderr } = await execAsync(fullCommand, { cwd: this.baseDirectory });
-      this.logger(`Git command executed successfully.`);
+      if (quote === '"') {
+        if (char === '"') {
+          quote = null;
+        } else if (char === '\\' && i + 1 < command.length && ['"', '\\'].includes(command[i + 1])) {
+          current += command[++i];
+        } else {
+          current += char;
+        }
+        continue;
+      }
+      
+      if (/\s/.test(char)) {
+        if (inToken) {
+          tokens.push(current);
+          current = '';
+          inToken = false;
+        }
+        continue;
+      }
       
-      return { stdout, stderr };
-    } catch (error) {
-      this.logger(`Error executing git command: ${error.message}`);
-      throw error;
+      inToken = true;
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (SHELL_OPERATORS.test(char) || (char === '$' && command[i + 1] === '(')) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Shell operators are not supported in git commands: ${char === '$' ? '$(' : char}`);
+      } else {
+        current += char;
+      }
+    }
+    
+    if (quote) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Unterminated quote in git command');
+    }
+    if (inToken) {
+      tokens.push(current);
     }
+    return tokens;
   }
-
+  
   /**
-   * Validates that the git command is safe to execute
-   * @param {string} command - The git command to validate
-   * @returns {boolean} - Whether the command is valid
+   * Tokenize a git command and check it against the subcommand and flag allowlist
+   * @param {string} command - The git command (without the 'git' prefix)
+   * @returns {{args: string[], subcommand: string, flags: Set<string>, positionals: string[], paths: string[]}}
+   *   - The validated arguments to pass to git, and what they contain
    */
-  isValidGitCommand(command) {
-    // Remove leading/trailing whitespace
-    const trimmedCommand = command.trim();
+  parseGitCommand(command) {
+    const args = this.tokenizeCommand(command.trim());
+    if (args.length === 0) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Git command is empty');
+    }
     
-    // Check for attempts to chain commands
-    if (/[;&|]/.test(trimmedCommand)) {
-      return false;
+    const [subcommand, ...rest] = args;
+    if (subcommand.startsWith('-')) {
+      throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Global git options are not allowed: ${subcommand}`);
     }
     
-    // Check for attempts to use shell redirection
-    if (/[><]/.test(trimmedCommand)) {
-      return false;
+    const rules = FLAG_RULES[subcommand];
+    if (!rules) {
+      throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Git subcommand not allowed: ${subcommand}. Allowed: ${Object.keys(GIT_SUBCOMMANDS).join(', ')}`);
     }
     
-    // Block commands that could be dangerous
-    const blockedCommands = [
-      'config', // Changing git configuration could be dangerous
-      'clean -xdf', // Force clean can delete files unexpectedly
-    ];
+    const flags = new Set();
+    const positionals = [];
+    const paths = [];
+    let pathsOnly = false;
+    for (let i = 0; i < rest.length; i++) {
+      const arg = rest[i];
+      
+      // Everything after "--" is a path
+      if (arg === '--' && !pathsOnly) {
+        pathsOnly = true;
+        continue;
+      }
+      if (pathsOnly || !arg.startsWith('-') || arg === '-') {
+        if (OUTSIDE_PATH.test(arg)) {
+          throw new ServiceError(ErrorCode.OUTSIDE_ROOT, `Paths outside the base directory are not allowed in git commands: ${arg}`);
+        }
+        (pathsOnly ? paths : positionals).push(arg);
+        continue;
+      }
+      
+      if (/^-\d+$/.test(arg) && COUNT_SHORTHAND.includes(subcommand)) continue;
+      
+      const consumesNext = arg.startsWith('--')
+        ? this.checkLongFlag(subcommand, rules, arg, flags)
+        : this.checkShortFlags(subcommand, rules, arg, flags);
+      if (consumesNext) {
+        if (i + 1 >= rest.length) {
+          throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Missing value for git option ${arg}`);
+        }
+        i++;
+      }
+    }
     
-    for (const blockedCmd of blockedCommands) {
-      if (trimmedCommand.startsWith(blockedCmd)) {
-        return false;
+    return { args, subcommand, flags, positionals, paths };
+  }
+  
+  /**
+   * Check a long option such as --stat or --format=%h
+   * @param {string} subcommand - The git subcommand
+   * @param {Map<string, string>} rules - The subcommand's flag rules
+   * @param {string} arg - The argument
+   * @param {Set<string>} flags - Collects the option names that were used
+   * @returns {boolean} - Whether the option takes the next argument as its value
+   */
+  checkLongFlag(subcommand, rules, arg, flags) {
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg : arg.substring(0, separator);
+    const rule = rules.get(name);
+    
+    if (!rule) {
+      throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Git option not allowed for ${subcommand}: ${name}`);
+    }
+    if (separator !== -1 && rule === 'none') {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Git option ${name} does not take a value`);
+    }
+    flags.add(name);
+    return separator === -1 && rule === 'required';
+  }
+  
+  /**
+   * Check a short option or a cluster of them, such as -n, -sb or -U5
+   * @param {string} subcommand - The git subcommand
+   * @param {Map<string, string>} rules - The subcommand's flag rules
+   * @param {string} arg - The argument
+   * @param {Set<string>} flags - Collects the option names that were used
+   * @returns {boolean} - Whether the last option takes the next argument as its value
+   */
+  checkShortFlags(subcommand, rules, arg, flags) {
+    for (let i = 1; i < arg.length; i++) {
+      const name = `-${arg[i]}`;
+      const rule = rules.get(name);
+      
+      if (!rule) {
+        throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Git option not allowed for ${subcommand}: ${name}`);
+      }
+      flags.add(name);
+      // The rest of the cluster is this option's value
+      if (rule !== 'none') {
+        return i === arg.length - 1 && rule === 'required';
       }
     }
+    return false;
+  }
+  
+  /**
+   * Explain why a parsed git command is destructive, if it is
+   * @param {Object} parsed - The result of parseGitCommand
+   * @returns {Promise<string|null>} - What the command would destroy, or null when it is safe to run unconfirmed
+   */
+  async getDestructiveReason({ subcommand, flags, positionals, paths }) {
+    const has = (...names) => names.some(name => flags.has(name));
     
-    return true;
+    switch (subcommand) {
+      case 'reset':
+        return has('--hard', '--merge', '--keep') ? 'discards uncommitted changes' : null;
+      case 'push':
+        if (has('-f', '--force', '--force-with-lease') || positionals.some(refspec => refspec.startsWith('+'))) {
+          return 'force pushes, rewriting remote history';
+        }
+        return has('-d', '--delete') || positionals.some(refspec => refspec.startsWith(':')) ? 'deletes remote refs' : null;
+      case 'branch':
+        if (has('-d', '-D', '--delete')) return 'deletes a branch';
+        return has('-M', '-C', '-f', '--force') ? 'overwrites an existing branch' : null;
+      case 'tag':
+        return has('-d', '--delete', '-f', '--force') ? 'deletes or overwrites a tag' : null;
+      case 'clean':
+        return has('-f', '--force') ? 'permanently deletes untracked files' : null;
+      case 'checkout':
+        // Only the first positional can be the commit to switch to; anything after it, or a first positional
+        // that is not a commit, is a pathspec whose changes are overwritten
+        if (has('-f', '--force', '--ours', '--theirs', '-p', '--patch') || paths.length > 0 || positionals.length > 1) {
+          return 'discards working tree changes';
+        }
+        return positionals.length === 1 && !(await this.isCommit(positionals[0])) ? 'discards working tree changes' : null;
+      case 'switch':
+        return has('-f', '--force', '--discard-changes', '-C', '--force-create') ? 'discards changes or overwrites a branch' : null;
+      case 'restore':
+        return !has('-S', '--staged') || has('-W', '--worktree') ? 'discards working tree changes' : null;
+      case 'rm':
+        if (has('-n', '--dry-run')) return null;
+        if (!has('--cached')) return 'deletes files from the working tree';
+        return null;
+      case 'stash':
+        return ['drop', 'clear'].includes(positionals[0]) ? 'permanently deletes stashed changes' : null;
+      default:
+        return null;
+    }
   }
-
+  
   /**
-   * Determines the appropriate shell command prefix based on shell type
+   * Check whether a checkout argument names a commit rather than a path
+   * @param {string} revision - The argument, where "-" is the previously checked out branch
+   * @returns {Promise<boolean>} - Whether it resolves to a commit
+   */
+  async isCommit(revision) {
+    const name = revision === '-' ? '@{-1}' : revision;
+    if (name.startsWith('-')) return false;
+    try {
+      await this.run('git', ['rev-parse', '--verify', '--quiet', `${name}^{commit}`]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Build the invocation that runs git with validated arguments through a specific shell.
+   * Arguments are quoted for that shell so they are never interpreted by it.
    * @param {string} shell - Shell type (cmd, powershell, bash)
-   * @returns {string} - Shell command prefix
+   * @param {string[]} args - The validated git arguments
+   * @returns {{file: string, args: string[]}} - The executable and its arguments
    */
-  getShellPrefix(shell) {
+  getShellInvocation(shell, args) {
     switch (shell) {
       case 'cmd':
-        return 'cmd /c';
+        if (args.some(arg => /["%^!]/.test(arg))) {
+          throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Arguments containing ", %, ^ or ! cannot be passed safely through cmd; omit the shell option');
+        }
+        return {
+          file: 'cmd',
+          args: ['/d', '/s', '/c', `"git ${args.map(arg => `"${arg}"`).join(' ')}"`]
+        };
       case 'powershell':
-        return 'powershell -Command';
+        // PowerShell also ends single-quoted strings at the typographic quotes, so those are doubled too
+        return {
+          file: 'powershell',
+          args: ['-NoProfile', '-NonInteractive', '-Command', `& git ${args.map(arg => `'${arg.replace(POWERSHELL_QUOTES, '$&$&')}'`).join(' ')}`]
+        };
       case 'bash':
-        return 'bash -c';
+        // Pass the arguments positionally so bash never parses them
+        return { file: 'bash', args: ['-c', 'git "$@"', 'git', ...args] };
       default:
-        return ''; // Default system shell
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Unsupported shell: ${shell}`);
+    }
+  }
+  
+  /**
+   * Fail if a revision could be mistaken for an option
+   * @param {string} revision - A ref, commit or range such as 'main' or 'HEAD~3..HEAD'
+   */
+  assertRevision(revision) {
+    if (!revision || revision.startsWith('-') || /[\s\0]/.test(revision)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid revision: ${revision}`);
+    }
+  }
+  
+  /**
+   * Fail if a pathspec points outside the base directory
+   * @param {string[]} paths - Paths relative to the base directory
+   */
+  assertPathspecs(paths) {
+    for (const pathspec of paths) {
+      if (OUTSIDE_PATH.test(pathspec)) {
+        throw new ServiceError(ErrorCode.OUTSIDE_ROOT, `Paths outside the base directory are not allowed: ${pathspec}`);
+      }
+    }
+  }
+  
+  /**
+   * Get the base directory's path relative to the repository root
+   * @returns {Promise<string>} - The prefix, such as 'packages/app/', or '' at the repository root
+   */
+  async getPrefix() {
+    const { stdout } = await this.run('git', ['rev-parse', '--show-prefix']);
+    return stdout.trim();
+  }
+  
+  /**
+   * Make a repository-relative path relative to the base directory
+   * @param {string} repositoryPath - The path relative to the repository root
+   * @param {string} prefix - The base directory's prefix, from getPrefix
+   * @returns {string} - The path relative to the base directory, starting with "../" if it is outside it
+   */
+  fromRepositoryPath(repositoryPath, prefix) {
+    return path.posix.relative(`/${prefix}`, `/${repositoryPath}`);
+  }
+  
+  /**
+   * List the paths a git command names, for checking against path rules: its pathspecs, positionals that
+   * may be paths, and the path part of revision:path arguments
+   * @param {string} command - The command line, without the 'git' prefix
+   * @returns {Promise<{operation: string, paths: string[]}>} - 'read' or 'write', and paths relative to the base directory
+   */
+  async getCommandPaths(command) {
+    const { subcommand, positionals, paths } = this.parseGitCommand(command);
+    const named = [...paths];
+    let prefix = null;
+    
+    for (const arg of positionals) {
+      const objectPath = OBJECT_PATH.exec(arg)?.[1];
+      if (objectPath === undefined) {
+        named.push(arg);
+      } else if (/^\.\.?(\/|$)/.test(objectPath)) {
+        // "./" and "../" make an object path relative to the working directory
+        named.push(path.posix.normalize(objectPath));
+      } else if (objectPath && !objectPath.startsWith('/')) {
+        prefix ??= await this.getPrefix();
+        named.push(this.fromRepositoryPath(objectPath, prefix));
+      }
+    }
+    
+    this.assertPathspecs(named);
+    return { operation: READ_ONLY_SUBCOMMANDS.includes(subcommand) ? 'read' : 'write', paths: named };
+  }
+  
+  /**
+   * List the files staging would change: modified, deleted and untracked files matching the pathspecs
+   * @param {string[]} paths - Pathspecs relative to the base directory
+   * @returns {Promise<string[]>} - Paths relative to the base directory
+   */
+  async getAddPaths(paths) {
+    this.assertPathspecs(paths);
+    const { stdout } = await this.run('git', ['ls-files', '-z', '--modified', '--deleted', '--others', '--exclude-standard', '--', ...paths]);
+    return [...new Set(stdout.split('\0').filter(Boolean))];
+  }
+  
+  /**
+   * List the files stashing would take away: staged, unstaged and conflicted files, and optionally untracked ones
+   * @param {Object} options - Stash options
+   * @param {boolean} options.includeUntracked - Include untracked files
+   * @returns {Promise<string[]>} - Paths relative to the base directory
+   */
+  async getStatusPaths({ includeUntracked = false } = {}) {
+    const { staged, unstaged, untracked, conflicted } = await this.getStatus();
+    const entries = [...staged, ...unstaged, ...conflicted].flatMap(entry => [entry.path, entry.origPath]);
+    return [...new Set([...entries, ...(includeUntracked ? untracked : [])].filter(Boolean))];
+  }
+  
+  /**
+   * List the files that differ between two revisions, such as the files switching branches rewrites
+   * @param {string} from - The revision to compare from
+   * @param {string} to - The revision to compare to
+   * @returns {Promise<string[]>} - Paths relative to the base directory, starting with "../" if they are outside it
+   */
+  async getChangedPaths(from, to) {
+    this.assertRevision(from);
+    this.assertRevision(to);
+    const prefix = await this.getPrefix();
+    const { stdout } = await this.run('git', ['diff', '--name-only', '--no-renames', '--no-relative', '-z', from, to, '--']);
+    return stdout.split('\0').filter(Boolean).map(filePath => this.fromRepositoryPath(filePath, prefix));
+  }
+  
+  /**
+   * List the files restoring would change: those that differ between the restore source and the index or working tree
+   * @param {string[]} paths - Pathspecs relative to the base directory
+   * @param {Object} options - Restore options, as for restore()
+   * @param {boolean} options.staged - Restore the index
+   * @param {boolean} options.worktree - Restore the working tree (the default unless `staged` is set)
+   * @param {string} options.source - Revision to restore from
+   * @returns {Promise<string[]>} - Paths relative to the base directory, starting with "../" if they are outside it
+   */
+  async getRestorePaths(paths, { staged = false, worktree, source } = {}) {
+    this.assertPathspecs(paths);
+    const from = source || (staged ? 'HEAD' : null);
+    if (from) this.assertRevision(from);
+    
+    // The index is compared with the source for --staged, the working tree with the source (or the index) otherwise
+    const targets = [...(staged ? ['--cached'] : []), ...((worktree ?? !staged) ? [null] : [])];
+    const prefix = await this.getPrefix();
+    const changed = new Set();
+    for (const target of targets) {
+      const args = ['diff', '--name-only', '--no-renames', '--no-relative', '-z'];
+      if (target) args.push(target);
+      if (from) args.push(from);
+      const { stdout } = await this.run('git', [...args, '--', ...paths]);
+      stdout.split('\0').filter(Boolean).forEach(filePath => changed.add(this.fromRepositoryPath(filePath, prefix)));
+    }
+    return [...changed];
+  }
+  
+  /**
+   * List the files a stash would change when applied, including its untracked files
+   * @param {number} index - The stash index
+   * @returns {Promise<string[]>} - Paths relative to the base directory, starting with "../" if they are outside it
+   */
+  async getStashPaths(index = 0) {
+    const ref = this.stashRef(index);
+    const prefix = await this.getPrefix();
+    const { stdout } = await this.run('git', ['stash', 'show', '--name-only', '--no-renames', '--no-relative', '--include-untracked', '-z', ref]);
+    return stdout.split('\0').filter(Boolean).map(filePath => this.fromRepositoryPath(filePath, prefix));
+  }
+  
+  /**
+   * Get the working tree status
+   * @returns {Promise<Object>} - Branch information plus staged, unstaged, untracked and conflicted files,
+   * and whether the list was cut short by the output limit
+   */
+  async getStatus() {
+    const prefix = await this.getPrefix();
+    const { stdout, truncated } = await this.run('git', ['status', '--porcelain=v2', '--branch', '--untracked-files=all', '-z', '--', '.']);
+    // Drop the record the output limit cut through
+    const output = truncated ? stdout.substring(0, stdout.lastIndexOf('\0') + 1) : stdout;
+    return { ...this.parseStatus(output, prefix), truncated };
+  }
+  
+  /**
+   * Parse `git status --porcelain=v2 --branch -z` output
+   * @param {string} output - The raw output
+   * @param {string} prefix - Repository-relative prefix to strip so paths are relative to the base directory
+   * @returns {Object} - The parsed status
+   */
+  parseStatus(output, prefix) {
+    const status = {
+      branch: { head: null, oid: null, upstream: null, ahead: 0, behind: 0, detached: false },
+      staged: [],
+      unstaged: [],
+      untracked: [],
+      conflicted: []
+    };
+    const relative = filePath => (filePath.startsWith(prefix) ? filePath.substring(prefix.length) : filePath);
+    const records = output.split('\0');
+    
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      if (!record) continue;
+      
+      if (record.startsWith('# ')) {
+        const [key, ...values] = record.substring(2).split(' ');
+        if (key === 'branch.oid') status.branch.oid = values[0] === '(initial)' ? null : values[0];
+        if (key === 'branch.head') {
+          status.branch.detached = values[0] === '(detached)';
+          status.branch.head = status.branch.detached ? null : values[0];
+        }
+        if (key === 'branch.upstream') status.branch.upstream = values[0];
+        if (key === 'branch.ab') {
+          status.branch.ahead = Math.abs(Number(values[0]));
+          status.branch.behind = Math.abs(Number(values[1]));
+        }
+        continue;
+      }
+      
+      const fields = record.split(' ');
+      switch (record[0]) {
+        case '?':
+          status.untracked.push(relative(record.substring(2)));
+          break;
+        case '1':
+        case '2': {
+          // Ordinary entries have 8 fields before the path, renames and copies 9 plus the original path
+          const [, xy] = fields;
+          const filePath = relative(fields.slice(record[0] === '1' ? 8 : 9).join(' '));
+          // A rename whose original path was cut off by the output limit is left out
+          if (record[0] === '2' && !records[i + 1]) break;
+          const origPath = record[0] === '2' ? relative(records[++i]) : undefined;
+          if (xy[0] !== '.') status.staged.push({ path: filePath, status: STATUS_NAMES[xy[0]] || xy[0], ...(origPath ? { origPath } : {}) });
+          if (xy[1] !== '.') status.unstaged.push({ path: filePath, status: STATUS_NAMES[xy[1]] || xy[1], ...(origPath ? { origPath } : {}) });
+          break;
+        }
+        case 'u':
+          status.conflicted.push({ path: relative(fields.slice(10).join(' ')), status: fields[1] });
+          break;
+      }
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Get a diff split into files and hunks
+   * @param {Object} options - Diff options
+   * @param {boolean} options.staged - Diff the index instead of the working tree
+   * @param {string} options.from - Revision to diff from
+   * @param {string} options.to - Revision to diff to
+   * @param {string[]} options.paths - Limit the diff to these paths
+   * @param {number} options.contextLines - Lines of context around each change
+   * @returns {Promise<{files: Array, diff: string, truncated: boolean}>} - Parsed files, the raw unified diff and whether it was cut short
+   */
+  async getDiff({ staged = false, from, to, paths = [], contextLines = 3 } = {}) {
+    const args = ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff', '--relative', '-M', `--unified=${contextLines}`];
+    if (staged) args.push('--cached');
+    for (const revision of [from, to]) {
+      if (revision) {
+        this.assertRevision(revision);
+        args.push(revision);
+      }
+    }
+    this.assertPathspecs(paths);
+    args.push('--', ...paths);
+    
+    const { stdout, truncated } = await this.run('git', args);
+    return { files: this.parseDiff(stdout), diff: stdout, truncated };
+  }
+  
+  /**
+   * Parse unified diff output from git into files and hunks
+   * @param {string} output - The raw diff
+   * @returns {Array<Object>} - One entry per file with its status, line counts and hunks
+   */
+  parseDiff(output) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    
+    for (const line of output.split('\n')) {
+      if (line.startsWith('diff --git ')) {
+        const match = /^diff --git a\/(.*) b\/(.*)$/.exec(line);
+        file = { path: match ? match[2] : line.substring(11), oldPath: match ? match[1] : null, status: 'modified', binary: false, additions: 0, deletions: 0, hunks: [] };
+        files.push(file);
+        hunk = null;
+        continue;
+      }
+      if (!file) continue;
+      
+      if (hunk && /^[ +\-\\]/.test(line)) {
+        hunk.lines.push(line);
+        if (line[0] === '+') file.additions++;
+        if (line[0] === '-') file.deletions++;
+        continue;
+      }
+      
+      const hunkHeader = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/.exec(line);
+      if (hunkHeader) {
+        hunk = {
+          oldStart: Number(hunkHeader[1]),
+          oldLines: hunkHeader[2] === undefined ? 1 : Number(hunkHeader[2]),
+          newStart: Number(hunkHeader[3]),
+          newLines: hunkHeader[4] === undefined ? 1 : Number(hunkHeader[4]),
+          heading: hunkHeader[5],
+          lines: []
+        };
+        file.hunks.push(hunk);
+        continue;
+      }
+      
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) { file.status = 'renamed'; file.oldPath = line.substring(12); }
+      else if (line.startsWith('rename to ')) file.path = line.substring(10);
+      else if (line.startsWith('copy from ')) { file.status = 'copied'; file.oldPath = line.substring(10); }
+      else if (line.startsWith('copy to ')) file.path = line.substring(8);
+      else if (line.startsWith('Binary files ')) file.binary = true;
+      else if (line.startsWith('--- a/')) file.oldPath = line.substring(6);
+      else if (line.startsWith('+++ b/')) file.path = line.substring(6);
+    }
+    
+    for (const entry of files) {
+      if (entry.status !== 'renamed' && entry.status !== 'copied') {
+        delete entry.oldPath;
+      }
+    }
+    return files;
+  }
+  
+  /**
+   * Get commits with their changed files, a page at a time
+   * @param {Object} options - Log options
+   * @param {string} options.ref - Revision or range to list (defaults to HEAD)
+   * @param {string[]} options.paths - Only commits touching these paths
+   * @param {number} options.skip - Number of commits to skip
+   * @param {number} options.limit - Maximum number of commits to return
+   * @param {string} options.author - Only commits by a matching author
+   * @param {string} options.since - Only commits after this date
+   * @param {string} options.until - Only commits before this date
+   * @param {string} options.grep - Only commits whose message matches
+   * @returns {Promise<{commits: Array, hasMore: boolean, nextSkip: number|null, truncated: boolean}>} - The page of commits.
+   * When the output limit cut the page short, it holds the complete commits and `nextSkip` continues after them.
+   */
+  async getLog({ ref, paths = [], skip = 0, limit = 20, author, since, until, grep } = {}) {
+    const args = ['-c', 'core.quotePath=false', 'log', `--format=${LOG_FORMAT}`, '--name-status', '--relative', `--skip=${skip}`, `--max-count=${limit + 1}`];
+    // Values are attached with "=" so they can never be read as separate options
+    if (author) args.push(`--author=${author}`);
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+    if (grep) args.push(`--grep=${grep}`);
+    if (ref) {
+      this.assertRevision(ref);
+      args.push(ref);
+    }
+    this.assertPathspecs(paths);
+    args.push('--', ...(paths.length > 0 ? paths : ['.']));
+    
+    const { stdout, truncated } = await this.run('git', args);
+    const records = stdout.split('\x1e').slice(1);
+    // The last record is incomplete when the output limit was reached
+    if (truncated) records.pop();
+    if (truncated && records.length === 0) {
+      throw new ServiceError(ErrorCode.TOO_LARGE, `The commit at skip ${skip} is too large to list within the ${this.maxOutputBytes} byte output limit`);
+    }
+    
+    const commits = records.map(record => {
+      const [hash, shortHash, authorName, authorEmail, date, parents, subject, rest] = record.split('\x1f');
+      const [body, fileLines = ''] = rest.split('\x1d');
+      const files = fileLines.split('\n').filter(Boolean).map(line => {
+        const [code, ...filePaths] = line.split('\t');
+        return {
+          status: STATUS_NAMES[code[0]] || code,
+          path: filePaths[filePaths.length - 1],
+          ...(filePaths.length > 1 ? { oldPath: filePaths[0] } : {})
+        };
+      });
+      return {
+        hash,
+        shortHash,
+        author: authorName,
+        authorEmail,
+        date,
+        parents: parents ? parents.split(' ') : [],
+        subject,
+        body: body.trim(),
+        files
+      };
+    });
+    
+    const page = commits.slice(0, limit);
+    const hasMore = truncated || commits.length > limit;
+    return { commits: page, hasMore, nextSkip: hasMore ? skip + page.length : null, truncated };
+  }
+  
+  /**
+   * Get the commit and author of each line in a file
+   * @param {string} filePath - The file path relative to the base directory
+   * @param {Object} options - Blame options
+   * @param {number} options.startLine - First line to blame (1-based)
+   * @param {number} options.endLine - Last line to blame
+   * @param {string} options.ref - Revision to blame at (defaults to the working tree)
+   * @returns {Promise<{path: string, lines: Array, truncated: boolean}>} - One entry per line, and whether the
+   * output limit cut the list short
+   */
+  async getBlame(filePath, { startLine, endLine, ref } = {}) {
+    const args = ['blame', '--porcelain'];
+    if (startLine || endLine) {
+      args.push(`-L${startLine || 1},${endLine || ''}`);
+    }
+    if (ref) {
+      this.assertRevision(ref);
+      args.push(ref);
+    }
+    this.assertPathspecs([filePath]);
+    args.push('--', filePath);
+    
+    const { stdout, truncated } = await this.run('git', args);
+    // Drop the line the output limit cut through
+    const output = truncated ? stdout.substring(0, stdout.lastIndexOf('\n') + 1) : stdout;
+    return { path: filePath, lines: this.parseBlame(output), truncated };
+  }
+  
+  /**
+   * Parse `git blame --porcelain` output
+   * @param {string} output - The raw output
+   * @returns {Array<Object>} - Line number, commit, author, date, summary and content of each line
+   */
+  parseBlame(output) {
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+    
+    for (const line of output.split('\n')) {
+      if (line.startsWith('\t') && current) {
+        const info = commits.get(current.hash);
+        lines.push({
+          line: current.line,
+          commit: current.hash,
+          author: info.author,
+          authorEmail: info.authorEmail,
+          date: info.date,
+          summary: info.summary,
+          content: line.substring(1)
+        });
+        continue;
+      }
+      
+      const header = /^([0-9a-f]{40,64}) \d+ (\d+)/.exec(line);
+      if (header) {
+        current = { hash: header[1], line: Number(header[2]) };
+        if (!commits.has(current.hash)) commits.set(current.hash, {});
+        continue;
+      }
+      if (!current) continue;
+      
+      // Commit details follow the first line blamed on each commit
+      const separator = line.indexOf(' ');
+      const key = separator === -1 ? line : line.substring(0, separator);
+      const value = separator === -1 ? '' : line.substring(separator + 1);
+      const info = commits.get(current.hash);
+      if (key === 'author') info.author = value;
+      if (key === 'author-mail') info.authorEmail = value.replace(/^<|>$/g, '');
+      if (key === 'author-time') info.date = new Date(Number(value) * 1000).toISOString();
+      if (key === 'summary') info.summary = value;
     }
+    
+    return lines;
+  }
+  
+  /**
+   * Refuse a destructive operation that was not confirmed
+   * @param {boolean} confirm - Whether the caller confirmed
+   * @param {string} action - What would be destroyed, for the error message
+   */
+  assertConfirmed(confirm, action) {
+    if (!confirm) {
+      throw new ServiceError(ErrorCode.CONFIRMATION_REQUIRED, `Refusing to ${action} without confirm: true`);
+    }
+  }
+  
+  /**
+   * Fail if a name is not a valid branch name
+   * @param {string} name - The branch name
+   * @returns {Promise<void>}
+   */
+  async assertBranchName(name) {
+    this.assertRevision(name);
+    try {
+      await this.run('git', ['check-ref-format', '--branch', name]);
+    } catch {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid branch name: ${name}`);
+    }
+  }
+  
+  /**
+   * Stage changes
+   * @param {string[]} paths - Paths to stage, relative to the base directory
+   * @param {Object} options - Add options
+   * @param {boolean} options.all - Stage every change, including untracked and deleted files
+   * @returns {Promise<void>}
+   */
+  async add(paths = [], { all = false } = {}) {
+    if (!all && paths.length === 0) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Specify paths to stage, or all: true');
+    }
+    this.assertPathspecs(paths);
+    
+    // Without paths, "--all" is limited to the base directory rather than the whole repository
+    const args = ['add'];
+    if (all) args.push('--all');
+    await this.run('git', [...args, '--', ...(paths.length > 0 ? paths : ['.'])]);
+  }
+  
+  /**
+   * Commit the staged changes
+   * @param {string} message - The commit message
+   * @param {Object} options - Commit options
+   * @param {string} options.author - Author as "Name <email>" (defaults to the configured user)
+   * @param {boolean} options.signoff - Add a Signed-off-by trailer
+   * @param {boolean} options.allowEmpty - Allow a commit with no changes
+   * @returns {Promise<{hash: string, summary: string}>} - The new commit and git's summary
+   */
+  async commit(message, { author, signoff = false, allowEmpty = false } = {}) {
+    if (!message || !message.trim()) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Commit message is required');
+    }
+    
+    // The message is attached with "=" and passed as a single argument, so it needs no quoting
+    const args = ['commit', `--message=${message}`];
+    if (author) {
+      if (!/^[^<>]+ <[^<>]*>$/.test(author)) {
+        throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Author must look like "Name <email>": ${author}`);
+      }
+      args.push(`--author=${author}`);
+    }
+    if (signoff) args.push('--signoff');
+    if (allowEmpty) args.push('--allow-empty');
+    
+    const { stdout } = await this.run('git', args);
+    const { stdout: hash } = await this.run('git', ['rev-parse', 'HEAD']);
+    return { hash: hash.trim(), summary: stdout.trim() };
+  }
+  
+  /**
+   * List local branches
+   * @returns {Promise<Array<{name: string, current: boolean, commit: string, upstream: string|null, subject: string}>>} - The branches
+   */
+  async listBranches() {
+    const { stdout } = await this.run('git', ['branch', '--list', '--format=%(HEAD)%1f%(refname:short)%1f%(objectname:short)%1f%(upstream:short)%1f%(contents:subject)']);
+    return stdout.split('\n').filter(Boolean).map(line => {
+      const [head, name, commit, upstream, subject] = line.split('\x1f');
+      return { name, current: head === '*', commit, upstream: upstream || null, subject };
+    });
+  }
+  
+  /**
+   * Create a branch
+   * @param {string} name - The new branch name
+   * @param {Object} options - Branch options
+   * @param {string} options.startPoint - Revision to start from (defaults to HEAD)
+   * @param {boolean} options.checkout - Switch to the new branch
+   * @returns {Promise<void>}
+   */
+  async createBranch(name, { startPoint, checkout = false } = {}) {
+    await this.assertBranchName(name);
+    if (startPoint) this.assertRevision(startPoint);
+    
+    const args = checkout ? ['switch', '--create', name] : ['branch', name];
+    await this.run('git', startPoint ? [...args, startPoint] : args);
+  }
+  
+  /**
+   * Switch to an existing branch. Git refuses if uncommitted changes would be overwritten.
+   * @param {string} name - The branch name
+   * @returns {Promise<void>}
+   */
+  async switchBranch(name) {
+    this.assertRevision(name);
+    await this.run('git', ['switch', name]);
+  }
+  
+  /**
+   * Delete a branch
+   * @param {string} name - The branch name
+   * @param {Object} options - Delete options
+   * @param {boolean} options.force - Delete even if the branch is not merged
+   * @param {boolean} options.confirm - Required, as deleting a branch can lose commits
+   * @returns {Promise<void>}
+   */
+  async deleteBranch(name, { force = false, confirm = false } = {}) {
+    this.assertRevision(name);
+    this.assertConfirmed(confirm, `delete branch ${name}`);
+    await this.run('git', ['branch', force ? '-D' : '-d', name]);
+  }
+  
+  /**
+   * Get the stash reference for a stash index
+   * @param {number} index - The stash index (0 is the most recent)
+   * @returns {string} - The reference, such as stash@{0}
+   */
+  stashRef(index = 0) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid stash index: ${index}`);
+    }
+    return `stash@{${index}}`;
+  }
+  
+  /**
+   * Stash uncommitted changes under the base directory
+   * @param {Object} options - Stash options
+   * @param {string} options.message - Description of the stash
+   * @param {boolean} options.includeUntracked - Also stash untracked files
+   * @returns {Promise<string>} - Git's output
+   */
+  async stashPush({ message, includeUntracked = false } = {}) {
+    const args = ['stash', 'push'];
+    if (message) args.push(`--message=${message}`);
+    if (includeUntracked) args.push('--include-untracked');
+    const { stdout } = await this.run('git', [...args, '--', '.']);
+    return stdout.trim();
+  }
+  
+  /**
+   * List stashes
+   * @returns {Promise<Array<{index: number, ref: string, commit: string, message: string}>>} - The stashes, newest first
+   */
+  async listStashes() {
+    const { stdout } = await this.run('git', ['stash', 'list', '--format=%gd%x1f%h%x1f%gs']);
+    return stdout.split('\n').filter(Boolean).map((line, index) => {
+      const [ref, commit, message] = line.split('\x1f');
+      return { index, ref, commit, message };
+    });
+  }
+  
+  /**
+   * Apply a stash to the working tree
+   * @param {number} index - The stash index
+   * @param {Object} options - Apply options
+   * @param {boolean} options.pop - Remove the stash once it applies cleanly
+   * @returns {Promise<string>} - Git's output
+   */
+  async applyStash(index = 0, { pop = false } = {}) {
+    const { stdout } = await this.run('git', ['stash', pop ? 'pop' : 'apply', this.stashRef(index)]);
+    return stdout.trim();
+  }
+  
+  /**
+   * Delete a stash
+   * @param {number} index - The stash index
+   * @param {Object} options - Drop options
+   * @param {boolean} options.confirm - Required, as dropped stashes cannot be restored
+   * @returns {Promise<string>} - Git's output
+   */
+  async dropStash(index = 0, { confirm = false } = {}) {
+    const ref = this.stashRef(index);
+    this.assertConfirmed(confirm, `drop ${ref}`);
+    const { stdout } = await this.run('git', ['stash', 'drop', ref]);
+    return stdout.trim();
+  }
+  
+  /**
+   * Delete all stashes
+   * @param {Object} options - Clear options
+   * @param {boolean} options.confirm - Required, as cleared stashes cannot be restored
+   * @returns {Promise<void>}
+   */
+  async clearStashes({ confirm = false } = {}) {
+    this.assertConfirmed(confirm, 'clear all stashes');
+    await this.run('git', ['stash', 'clear']);
+  }
+  
+  /**
+   * Restore files in the index or working tree
+   * @param {string[]} paths - Paths to restore, relative to the base directory
+   * @param {Object} options - Restore options
+   * @param {boolean} options.staged - Restore the index, unstaging changes
+   * @param {boolean} options.worktree - Restore the working tree (the default unless `staged` is set)
+   * @param {string} options.source - Revision to restore from (defaults to the index, or HEAD for `staged`)
+   * @param {boolean} options.confirm - Required when restoring the working tree, which discards uncommitted changes
+   * @returns {Promise<void>}
+   */
+  async restore(paths, { staged = false, worktree, source, confirm = false } = {}) {
+    if (!paths || paths.length === 0) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Specify the paths to restore');
+    }
+    this.assertPathspecs(paths);
+    
+    const restoreWorktree = worktree ?? !staged;
+    if (restoreWorktree) {
+      this.assertConfirmed(confirm, `discard working tree changes to ${paths.join(', ')}`);
+    }
+    
+    const args = ['restore'];
+    if (staged) args.push('--staged');
+    if (restoreWorktree) args.push('--worktree');
+    if (source) {
+      this.assertRevision(source);
+      args.push(`--source=${source}`);
+    }
+    await this.run('git', [...args, '--', ...paths]);
+  }
+  
+  /**
+   * Build the object name for a path at a revision. The "./" makes the path relative to the base directory
+   * rather than the repository root.
+   * @param {string} revision - The revision
+   * @param {string} filePath - The path relative to the base directory
+   * @returns {string} - The object name, such as 'v1.0:./src/index.js'
+   */
+  objectName(revision, filePath) {
+    this.assertRevision(revision);
+    this.assertPathspecs([filePath]);
+    return `${revision}:./${filePath === '.' ? '' : filePath}`;
+  }
+  
+  /**
+   * Read a file as it was at a revision
+   * @param {string} revision - The revision, such as 'HEAD~1' or 'v1.0'
+   * @param {string} filePath - The path relative to the base directory
+   * @returns {Promise<{content: Buffer, size: number, truncated: boolean}>} - The file's bytes at that revision
+   */
+  async readFileAtRevision(revision, filePath) {
+    const object = this.objectName(revision, filePath);
+    
+    let type;
+    try {
+      ({ stdout: type } = await this.run('git', ['cat-file', '-t', object]));
+    } catch {
+      throw new ServiceError(ErrorCode.NOT_FOUND, `${filePath} does not exist at revision ${revision}`);
+    }
+    if (type.trim() !== 'blob') {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `${filePath} is a directory at revision ${revision}; use list_files with ref to list it`);
+    }
+    
+    const { stdout, truncated } = await this.run('git', ['cat-file', 'blob', object], { encoding: 'buffer' });
+    return { content: stdout, size: stdout.length, truncated };
+  }
+  
+  /**
+   * List a directory as it was at a revision
+   * @param {string} revision - The revision
+   * @param {string} directory - The directory relative to the base directory ('.' for the base directory)
+   * @returns {Promise<Array<{name: string, isDirectory: boolean, size: number|null, mode: string, object: string}>>} - The entries
+   */
+  async listTree(revision, directory = '.') {
+    const object = this.objectName(revision, directory);
+    
+    // --full-tree stops ls-tree from also filtering the tree by the base directory's own prefix
+    let stdout;
+    try {
+      ({ stdout } = await this.run('git', ['ls-tree', '-z', '--long', '--full-tree', object]));
+    } catch {
+      throw new ServiceError(ErrorCode.NOT_FOUND, `${directory} is not a directory at revision ${revision}`);
+    }
+    
+    return stdout.split('\0').filter(Boolean).map(record => {
+      const tab = record.indexOf('\t');
+      const [mode, type, objectId, size] = record.substring(0, tab).split(/\s+/);
+      return {
+        name: record.substring(tab + 1),
+        isDirectory: type === 'tree',
+        size: size === '-' ? null : Number(size),
+        mode,
+        object: objectId
+      };
+    });
   }
 }
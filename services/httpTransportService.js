@@ -0,0 +1,470 @@
+// services/httpTransportService.js
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Largest JSON-RPC request body accepted
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// How often sessions are checked for being idle
+const IDLE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How long shutdown waits for requests in progress before closing sessions
+const SHUTDOWN_GRACE_MS = 5000;
+
+// Listen addresses meaning every interface, which say nothing about the names clients use
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+// Host names that always reach the server on this machine
+const LOOPBACK_NAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// JSON-RPC error codes used in HTTP error responses
+const PARSE_ERROR = -32700;
+const INTERNAL_ERROR = -32603;
+const SERVER_ERROR = -32000;
+const SESSION_NOT_FOUND = -32001;
+const UNAUTHORIZED = -32002;
+
+/**
+ * Service serving MCP over HTTP: Streamable HTTP on /mcp and the legacy SSE transport on
+ * /sse and /messages. Every session gets its own MCP server and workspace state.
+ */
+export class HttpTransportService {
+  /**
+   * Create a new HTTP transport service
+   * @param {function} createSession - Given the request's AuthInfo (or undefined), returns {server, close} for a new session: its McpServer and a function releasing its state
+   * @param {function} logger - The logger function
+   * @param {Object} options - HTTP options
+   * @param {AuthService} options.authService - Checks bearer tokens; requests are not authenticated without it
+   * @param {string} options.host - The interface to listen on
+   * @param {number} options.port - The port to listen on (0 picks a free port)
+   * @param {number} options.sessionIdleTimeoutMs - Streamable HTTP sessions without requests for this long are closed; 0 keeps them
+   * @param {string[]} options.allowedHosts - Host header values accepted besides the loopback names and the listen host, as name or name:port
+   * @param {string[]} options.allowedOrigins - Origin header values accepted besides those of the allowed hosts, such as https://app.example.com
+   */
+  constructor(createSession, logger, {
+    host = '127.0.0.1',
+    port = 3000,
+    sessionIdleTimeoutMs = 30 * 60 * 1000,
+    allowedHosts = [],
+    allowedOrigins = [],
+    authService
+  } = {}) {
+    this.createSession = createSession;
+    this.logger = logger;
+    this.authService = authService;
+    this.host = host;
+    this.port = port;
+    this.sessionIdleTimeoutMs = sessionIdleTimeoutMs;
+
+    // Host and Origin headers accepted, against DNS rebinding: the loopback names, the listen host and the configured extras
+    const hosts = [...LOOPBACK_NAMES, ...allowedHosts];
+    if (!WILDCARD_HOSTS.includes(host)) {
+      hosts.push(host.includes(':') && !host.startsWith('[') ? `[${host}]` : host);
+    }
+    this.allowedHosts = hosts.map(entry => {
+      const parsed = this.parseHost(entry);
+      if (!parsed) throw new Error(`Invalid allowed host: ${entry}. Expected a name or name:port, with IPv6 addresses in brackets`);
+      return parsed;
+    });
+    this.allowedOrigins = allowedOrigins.map(entry => {
+      try {
+        return new URL(entry).origin;
+      } catch {
+        throw new Error(`Invalid allowed origin: ${entry}. Expected a URL such as https://app.example.com`);
+      }
+    });
+    this.sessions = new Map();
+    this.requestsInProgress = 0;
+    this.closing = false;
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening for HTTP requests
+   * @returns {Promise<string>} - The base URL the server listens on
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger(`Error handling ${req.method} ${req.url}: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          this.sendError(res, 500, INTERNAL_ERROR, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    if (this.sessionIdleTimeoutMs > 0) {
+      this.idleTimer = setInterval(() => this.closeIdleSessions(), Math.min(IDLE_SWEEP_INTERVAL_MS, this.sessionIdleTimeoutMs));
+      this.idleTimer.unref();
+    }
+
+    const { address, port } = this.httpServer.address();
+    if (WILDCARD_HOSTS.includes(this.host) && this.allowedHosts.length === LOOPBACK_NAMES.length) {
+      this.logger('Listening on every interface, but only loopback Host headers are accepted: set MCP_ALLOWED_HOSTS to the names clients use');
+    }
+    const url = `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+    this.logger(`Listening for MCP over HTTP on ${url}/mcp (legacy SSE on ${url}/sse)`);
+    return url;
+  }
+
+  /**
+   * Parse a Host header value, or an allowed host, into a lower-case name and an optional port
+   * @param {string} host - The host, such as "localhost:3000", "[::1]" or "mcp.example.com"
+   * @returns {{hostname: string, port: number|null}|null} - The parts, or null if it is not a valid host
+   */
+  parseHost(host) {
+    try {
+      const { hostname, pathname, username, search, hash } = new URL(`http://${host}`);
+      if (pathname !== '/' || username || search || hash) return null;
+      const port = /:(\d+)$/.exec(host)?.[1];
+      return { hostname, port: port ? Number(port) : null };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a host name and port are allowed. Allowed hosts given without a port match any port.
+   * @param {string} hostname - The lower-case host name
+   * @param {number|null} port - The port, or null when the request did not give one
+   * @returns {boolean} - Whether the host is allowed
+   */
+  isAllowedHost(hostname, port) {
+    return this.allowedHosts.some(allowed => allowed.hostname === hostname && (allowed.port === null || allowed.port === port));
+  }
+
+  /**
+   * Check whether an Origin header names an allowed host or one of the allowed origins
+   * @param {string} origin - The Origin header
+   * @returns {boolean} - Whether the origin is allowed; the opaque "null" origin never is
+   */
+  isAllowedOrigin(origin) {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      return false;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return false;
+    return this.allowedOrigins.includes(url.origin) ||
+      this.isAllowedHost(url.hostname, Number(url.port) || (url.protocol === 'https:' ? 443 : 80));
+  }
+
+  /**
+   * Refuse requests whose Host or Origin header names another site, so a web page cannot reach the server
+   * through DNS rebinding or a cross-site request. Clients that are not browsers send no Origin header.
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {boolean} - Whether the request may proceed
+   */
+  checkHostAndOrigin(req, res) {
+    const { host, origin } = req.headers;
+    const requestHost = host ? this.parseHost(host) : null;
+    let reason = null;
+    if (!requestHost || !this.isAllowedHost(requestHost.hostname, requestHost.port)) {
+      reason = `Host header ${JSON.stringify(host || '')} is not allowed`;
+    } else if (origin !== undefined && !this.isAllowedOrigin(origin)) {
+      reason = `Origin ${JSON.stringify(origin)} is not allowed`;
+    }
+    if (!reason) return true;
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    this.logger(`Rejected ${req.method} ${pathname} from ${req.socket.remoteAddress}: ${reason}`);
+    this.sendError(res, 403, SERVER_ERROR, `Forbidden: ${reason}`);
+    return false;
+  }
+
+  /**
+   * Route a request to the Streamable HTTP or SSE endpoints
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    if (this.closing) {
+      res.setHeader('Connection', 'close');
+      return this.sendError(res, 503, SERVER_ERROR, 'Server is shutting down');
+    }
+
+    if (!this.checkHostAndOrigin(req, res)) return;
+    if (!this.authorize(req, res)) return;
+
+    // Long-lived GET streams are not waited for on shutdown
+    if (req.method !== 'GET') {
+      this.requestsInProgress++;
+      res.on('close', () => this.requestsInProgress--);
+    }
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (pathname === '/mcp') {
+      return this.handleStreamableRequest(req, res);
+    }
+    if (pathname === '/sse' && req.method === 'GET') {
+      return this.handleSseConnect(req, res);
+    }
+    if (pathname === '/messages' && req.method === 'POST') {
+      return this.handleSseMessage(req, res, searchParams.get('sessionId'));
+    }
+    this.sendError(res, 404, SERVER_ERROR, `Not found: ${req.method} ${pathname}`);
+  }
+
+  /**
+   * Check the request's bearer token when API keys are configured, answering 401 when it is rejected.
+   * Accepted requests carry the key as req.auth, which the SDK transports pass on to handlers as authInfo.
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {boolean} - Whether the request may proceed
+   */
+  authorize(req, res) {
+    if (!this.authService?.isEnabled()) return true;
+
+    const { auth, reason } = this.authService.authenticate(req);
+    if (auth) {
+      req.auth = auth;
+      return true;
+    }
+
+    this.authService.audit(req, reason);
+    res.setHeader('WWW-Authenticate', reason === 'missing bearer token'
+      ? 'Bearer realm="mcp"'
+      : 'Bearer realm="mcp", error="invalid_token"');
+    this.sendError(res, 401, UNAUTHORIZED, 'Unauthorized: a valid API key is required as a bearer token');
+    return false;
+  }
+
+  /**
+   * Find the session a request names, answering 404 when it does not exist or belongs to another API key
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {string} sessionId - The session ID from the request
+   * @param {string} type - 'streamable' or 'sse'
+   * @returns {Object|null} - The session
+   */
+  findSession(req, res, sessionId, type) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (session && session.type === type && session.auth?.clientId === req.auth?.clientId) {
+      return session;
+    }
+
+    if (session) {
+      this.authService?.audit(req, `session ${sessionId} belongs to another API key`);
+    }
+    this.sendError(res, 404, SESSION_NOT_FOUND, `Session not found: ${sessionId}`);
+    return null;
+  }
+
+  /**
+   * Handle a Streamable HTTP request, starting a session on initialize
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.findSession(req, res, sessionId, 'streamable');
+      if (!session) return;
+      this.trackRequest(session, res);
+      return session.transport.handleRequest(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return this.sendError(res, 400, SERVER_ERROR, 'Missing Mcp-Session-Id header');
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === undefined) return;
+
+    const messages = Array.isArray(body) ? body : [body];
+    if (!messages.some(message => isInitializeRequest(message))) {
+      return this.sendError(res, 400, SERVER_ERROR, 'No session: send an initialize request without Mcp-Session-Id first');
+    }
+
+    let session;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => this.addSession(session, id)
+    });
+    session = await this.openSession('streamable', transport, req.auth);
+    this.trackRequest(session, res);
+    await transport.handleRequest(req, res, body);
+
+    // The initialize request was rejected, so no client can reach this session
+    if (!session.id) {
+      await transport.close();
+    }
+  }
+
+  /**
+   * Open a legacy SSE stream, starting a session
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async handleSseConnect(req, res) {
+    const transport = new SSEServerTransport('/messages', res);
+    const session = await this.openSession('sse', transport, req.auth);
+    this.addSession(session, transport.sessionId);
+    this.trackRequest(session, res);
+  }
+
+  /**
+   * Deliver a message posted to a legacy SSE session
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {string} sessionId - The session from the endpoint URL
+   * @returns {Promise<void>}
+   */
+  async handleSseMessage(req, res, sessionId) {
+    const session = this.findSession(req, res, sessionId, 'sse');
+    if (!session) return;
+    this.trackRequest(session, res);
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  /**
+   * Create the MCP server and state for a session and connect it to its transport
+   * @param {string} type - 'streamable' or 'sse'
+   * @param {Transport} transport - The session's transport
+   * @param {Object} auth - The API key that opened the session, if authentication is enabled
+   * @returns {Promise<Object>} - The session
+   */
+  async openSession(type, transport, auth) {
+    const session = { id: null, type, transport, auth, openRequests: 0, lastActivity: Date.now(), ...this.createSession(auth) };
+    // Set before connect, which chains its own close handler after this one
+    transport.onclose = () => this.closeSession(session);
+    await session.server.connect(transport);
+    return session;
+  }
+
+  /**
+   * Make a session reachable by its ID
+   * @param {Object} session - The session
+   * @param {string} id - The session ID
+   */
+  addSession(session, id) {
+    session.id = id;
+    this.sessions.set(id, session);
+    const owner = session.auth ? ` for API key "${session.auth.clientId}"` : '';
+    this.logger(`Opened ${session.type} session ${id}${owner} (${this.sessions.size} active)`);
+  }
+
+  /**
+   * Forget a session whose transport closed and release its state
+   * @param {Object} session - The session
+   */
+  closeSession(session) {
+    if (session.closed) return;
+    session.closed = true;
+    if (session.id) {
+      this.sessions.delete(session.id);
+      this.logger(`Closed ${session.type} session ${session.id} (${this.sessions.size} active)`);
+    }
+    session.close();
+  }
+
+  /**
+   * Count a request against a session, so sessions with open requests or streams are never idle
+   * @param {Object} session - The session
+   * @param {http.ServerResponse} res - The response
+   */
+  trackRequest(session, res) {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * Close sessions that have had no requests or streams open for the idle timeout
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleTimeoutMs;
+    for (const session of this.sessions.values()) {
+      if (session.openRequests > 0 || session.lastActivity > cutoff) continue;
+      this.logger(`Closing idle session ${session.id}`);
+      session.transport.close().catch(error => {
+        this.logger(`Error closing session ${session.id}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body, answering the request itself when the body is unusable
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<any>} - The parsed body, or undefined when an error was sent
+   */
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        res.setHeader('Connection', 'close');
+        this.sendError(res, 413, SERVER_ERROR, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+        return undefined;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendError(res, 400, PARSE_ERROR, `Parse error: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Answer a request with a JSON-RPC error
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - The HTTP status
+   * @param {number} code - The JSON-RPC error code
+   * @param {string} message - The error message
+   */
+  sendError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  /**
+   * Stop accepting requests, let requests in progress finish, then close every session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.httpServer || this.closing) return;
+    this.closing = true;
+    clearInterval(this.idleTimer);
+
+    const stopped = new Promise(resolve => this.httpServer.close(resolve));
+
+    const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+    while (this.requestsInProgress > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    if (this.requestsInProgress > 0) {
+      this.logger(`Closing with ${this.requestsInProgress} requests still in progress`);
+    }
+
+    await Promise.allSettled([...this.sessions.values()].map(session => session.transport.close()));
+    this.httpServer.closeAllConnections();
+    await stopped;
+    this.logger('HTTP transport stopped');
+  }
+}
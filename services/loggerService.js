@@ -55,11 +55,14 @@ export class LoggerService {
   
   /**
    * Close the logger
+   * @returns {Promise<void>} - Resolves once buffered messages are written
    */
   close() {
-    if (this.logStream) {
-      this.logStream.end();
-      this.logStream = null;
+    if (!this.logStream) {
+      return Promise.resolve();
     }
+    const logStream = this.logStream;
+    this.logStream = null;
+    return new Promise(resolve => logStream.end(resolve));
   }
 }
@@ -0,0 +1,184 @@
+// services/mimeService.js
+import * as fs from 'fs/promises';
+import path from 'path';
+
+// Number of bytes sniffed from the start of a file
+const SAMPLE_SIZE = 8192;
+
+// Magic byte signatures, checked in order. `offset` is where the signature starts;
+// `weak` signatures are short enough to appear in plain text, so text wins over them.
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', ascii: 'GIF87a' },
+  { mimeType: 'image/gif', ascii: 'GIF89a' },
+  { mimeType: 'image/webp', ascii: 'WEBP', offset: 8 },
+  { mimeType: 'image/bmp', ascii: 'BM', weak: true },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'application/pdf', ascii: '%PDF-' },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/vnd.rar', ascii: 'Rar!' },
+  { mimeType: 'application/x-bzip2', ascii: 'BZh', weak: true },
+  { mimeType: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { mimeType: 'application/vnd.sqlite3', ascii: 'SQLite format 3' },
+  { mimeType: 'audio/mpeg', ascii: 'ID3', weak: true },
+  { mimeType: 'audio/ogg', ascii: 'OggS' },
+  { mimeType: 'audio/flac', ascii: 'fLaC' },
+  { mimeType: 'video/mp4', ascii: 'ftyp', offset: 4 }
+];
+
+// Fallback MIME types by extension when the content has no signature
+const EXTENSION_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.svg': 'image/svg+xml',
+  '.sh': 'application/x-sh',
+  '.py': 'text/x-python',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip'
+};
+
+/**
+ * Service for detecting file types from content and extension
+ */
+export class MimeService {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Detect the MIME type of a file
+   * @param {string} filePath - The absolute path to the file
+   * @returns {Promise<{mimeType: string, isText: boolean, isImage: boolean, sample: Buffer}>} - The detected type
+   */
+  async detect(filePath) {
+    const sample = await this.readSample(filePath);
+    const textLike = this.looksLikeText(sample);
+    const signature = SIGNATURES.find(candidate =>
+      !(candidate.weak && textLike) && this.matchesSignature(sample, candidate)
+    );
+    const extensionType = EXTENSION_TYPES[path.extname(filePath).toLowerCase()];
+    const isText = !signature && textLike;
+
+    let mimeType;
+    if (signature) {
+      mimeType = signature.mimeType;
+    } else if (extensionType) {
+      mimeType = extensionType;
+    } else {
+      mimeType = isText ? 'text/plain' : 'application/octet-stream';
+    }
+
+    return {
+      mimeType,
+      isText,
+      // SVG is XML text, so it is read as text rather than returned as an image block
+      isImage: !isText && mimeType.startsWith('image/'),
+      sample
+    };
+  }
+
+  /**
+   * Read the first bytes of a file
+   * @param {string} filePath - The absolute path to the file
+   * @returns {Promise<Buffer>} - Up to SAMPLE_SIZE bytes
+   */
+  async readSample(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SAMPLE_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Check whether a sample starts with a magic byte signature
+   * @param {Buffer} sample - The file sample
+   * @param {Object} signature - The signature to test
+   * @returns {boolean} - Whether the signature matches
+   */
+  matchesSignature(sample, { bytes, ascii, offset = 0 }) {
+    const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, 'latin1');
+    if (sample.length < offset + expected.length) {
+      return false;
+    }
+    return sample.subarray(offset, offset + expected.length).equals(expected);
+  }
+
+  /**
+   * Heuristically decide whether a sample is UTF-8 text
+   * @param {Buffer} sample - The file sample
+   * @returns {boolean} - Whether the sample looks like text
+   */
+  looksLikeText(sample) {
+    if (sample.includes(0x00)) {
+      return false;
+    }
+
+    // Drop a multi-byte sequence cut off at the end of the sample
+    let end = sample.length;
+    for (let i = Math.max(0, end - 3); i < end; i++) {
+      const byte = sample[i];
+      const sequenceLength = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+      if (i + sequenceLength > end) {
+        end = i;
+        break;
+      }
+    }
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Format bytes as a hex dump with an ASCII column
+   * @param {Buffer} buffer - The bytes to format
+   * @param {number} length - Maximum number of bytes to include
+   * @returns {string} - The hex dump
+   */
+  hexPreview(buffer, length = 256) {
+    const bytes = buffer.subarray(0, length);
+    const rows = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const row = bytes.subarray(offset, offset + 16);
+      const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+      const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+      rows.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+    return rows.join('\n');
+  }
+}
@@ -0,0 +1,188 @@
+// services/permissionService.js
+import { minimatch } from 'minimatch';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// Access levels granted by each permission profile
+const PROFILES = {
+  readonly: ['read'],
+  readwrite: ['read', 'write'],
+  full: ['read', 'write', 'admin']
+};
+
+// Profile names, from the narrowest to the broadest
+export const PERMISSION_PROFILES = Object.keys(PROFILES);
+
+// Access level each tool needs. Tools not listed need 'admin'.
+const TOOL_ACCESS = {
+  get_base_directory: 'read',
+  list_roots: 'read',
+  list_files: 'read',
+  read_file: 'read',
+  search_files: 'read',
+  find_files: 'read',
+  directory_tree: 'read',
+  get_file_info: 'read',
+  list_trash: 'read',
+  watch_directory: 'read',
+  get_changes: 'read',
+  git_status: 'read',
+  git_diff: 'read',
+  git_log: 'read',
+  git_blame: 'read',
+  read_file_at_revision: 'read',
+  compare_revisions: 'read',
+  write_file: 'write',
+  edit_file: 'write',
+  copy_file: 'write',
+  move_file: 'write',
+  delete_file: 'write',
+  restore_file: 'write',
+  git_add: 'write',
+  git_commit: 'write',
+  git_branch: 'write',
+  git_stash: 'write',
+  git_restore: 'write',
+  set_base_directory: 'admin',
+  empty_trash: 'admin',
+  git_command: 'admin'
+};
+
+// What a path rule still allows: 'read' blocks writes, 'none' blocks all access
+const RULE_ACCESS = ['read', 'none'];
+
+// Rules that apply in every root whatever is configured. Writing git's own files (config, hooks)
+// would let the next git command run arbitrary programs. They are checked against the paths an
+// operation names, not against everything below a directory it copies, moves or deletes.
+const BUILT_IN_RULES = [{ pattern: '.git', access: 'read' }];
+
+/**
+ * Service deciding which tools are available and which paths they may touch
+ */
+export class PermissionService {
+  /**
+   * Create a new permission service
+   * @param {function} logger - The logger function
+   * @param {Object} options - Permission options
+   * @param {string} options.profile - 'readonly', 'readwrite' or 'full'
+   * @param {Array<{pattern: string, access: string}>} options.pathRules - Root-relative globs limited to 'read' or 'none'
+   */
+  constructor(logger, { profile = 'full', pathRules = [] } = {}) {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown permission profile: ${profile}. Expected one of: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    for (const rule of pathRules) {
+      if (!rule.pattern || !RULE_ACCESS.includes(rule.access)) {
+        throw new Error(`Invalid path rule ${JSON.stringify(rule)}. Expected a pattern with access 'read' or 'none'`);
+      }
+    }
+
+    this.logger = logger;
+    this.profile = profile;
+    // A trailing slash only marks a directory; rules on a directory cover everything below it anyway
+    this.pathRules = pathRules.map(({ pattern, access }) => ({ pattern: pattern.replace(/\/+$/, ''), access }));
+    this.rules = [...BUILT_IN_RULES, ...this.pathRules];
+  }
+
+  /**
+   * Check whether the active profile allows a tool
+   * @param {string} toolName - The tool name
+   * @returns {boolean} - Whether the tool may be registered
+   */
+  isToolAllowed(toolName) {
+    return PROFILES[this.profile].includes(TOOL_ACCESS[toolName] || 'admin');
+  }
+
+  /**
+   * Create a permission service with the same path rules and a profile no broader than this one,
+   * for example for the scope of an API key
+   * @param {string} profile - The requested profile
+   * @returns {PermissionService} - A service using the narrower of the two profiles
+   */
+  restrictTo(profile) {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown permission profile: ${profile}. Expected one of: ${PERMISSION_PROFILES.join(', ')}`);
+    }
+    const narrowest = Math.min(PERMISSION_PROFILES.indexOf(this.profile), PERMISSION_PROFILES.indexOf(profile));
+    return new PermissionService(this.logger, { profile: PERMISSION_PROFILES[narrowest], pathRules: this.pathRules });
+  }
+
+  /**
+   * Check whether any path rules are configured, so that the trees below directories need checking too
+   * @returns {boolean} - Whether there are configured path rules
+   */
+  hasPathRules() {
+    return this.pathRules.length > 0;
+  }
+
+  /**
+   * Check whether a rule pattern matches a path or one of its parent directories.
+   * Patterns without a slash match the name at any depth.
+   * @param {string} relativePath - The root-relative path with forward slashes
+   * @param {string} pattern - The rule's glob pattern
+   * @returns {boolean} - Whether the rule applies
+   */
+  ruleMatches(relativePath, pattern) {
+    const options = { dot: true, matchBase: !pattern.includes('/') };
+    const segments = relativePath.split('/').filter(Boolean);
+    for (let length = segments.length; length > 0; length--) {
+      if (minimatch(segments.slice(0, length).join('/'), pattern, options)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find a rule that would stop protecting the same files if a directory became a root of its own.
+   * Rules are relative to the root, so this is any rule covering the directory, and any rule with a slash
+   * that could match below it. For a directory above the root, it is any rule with a slash.
+   * @param {string} relativePath - The directory relative to the current root, with forward slashes
+   * @returns {string|null} - The pattern of the affected rule, or null
+   */
+  findRuleLostByMove(relativePath) {
+    const above = relativePath === '..' || relativePath.startsWith('../');
+    for (const { pattern } of this.rules) {
+      const anchored = pattern.includes('/');
+      if (above ? anchored : this.ruleMatches(relativePath, pattern) || (anchored && minimatch(relativePath, pattern, { dot: true, partial: true }))) {
+        return pattern;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create the error returned when an operation is not permitted
+   * @param {string} message - What was refused
+   * @returns {ServiceError} - The permission error
+   */
+  permissionError(message) {
+    return new ServiceError(ErrorCode.PERMISSION_DENIED, `Permission denied: ${message}`);
+  }
+
+  /**
+   * Fail if the path rules forbid an operation on a path
+   * @param {string} relativePath - The root-relative path with forward slashes
+   * @param {string} operation - 'read' or 'write'
+   * @param {Object} options - Check options
+   * @param {boolean} options.builtIn - Also apply the built-in rules (default true)
+   */
+  checkPath(relativePath, operation, { builtIn = true } = {}) {
+    for (const { pattern, access } of builtIn ? this.rules : this.pathRules) {
+      if (access === 'read' && operation === 'read') continue;
+      if (!this.ruleMatches(relativePath, pattern)) continue;
+
+      const verb = operation === 'read' ? 'reading' : 'writing';
+      this.logger(`Permission denied: ${verb} ${relativePath || '/'} (rule ${pattern}=${access})`);
+      throw this.permissionError(`${verb} ${relativePath || '/'} is blocked by the path rule "${pattern}" (${access === 'none' ? 'no access' : 'read only'})`);
+    }
+  }
+
+  /**
+   * Check whether a path may be read, for filtering listings
+   * @param {string} relativePath - The root-relative path with forward slashes
+   * @returns {boolean} - Whether the path is readable
+   */
+  canRead(relativePath) {
+    return !this.pathRules.some(({ pattern, access }) => access === 'none' && this.ruleMatches(relativePath, pattern));
+  }
+}
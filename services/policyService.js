@@ -0,0 +1,111 @@
+// services/policyService.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// System locations that can never become a base directory unless the policy is overridden
+const DEFAULT_DENIED_PATHS = process.platform === 'win32'
+  ? ['C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)', 'C:\\ProgramData']
+  : ['/etc', '/bin', '/sbin', '/usr', '/lib', '/lib64', '/boot', '/dev', '/proc', '/sys'];
+
+/**
+ * Service enforcing which directories may be used as base directories
+ */
+export class PolicyService {
+  /**
+   * Create a new policy service
+   * @param {function} logger - The logger function
+   * @param {Object} options - Policy options
+   * @param {string[]} options.allowedParents - Base directories must be inside one of these (empty allows any)
+   * @param {string[]} options.deniedPaths - Base directories must not be these or inside them
+   * @param {boolean} options.createMissing - Whether missing base directories may be created
+   */
+  constructor(logger, { allowedParents = [], deniedPaths = DEFAULT_DENIED_PATHS, createMissing = true } = {}) {
+    this.logger = logger;
+    this.allowedParents = allowedParents.map(parent => path.resolve(parent));
+    this.deniedPaths = deniedPaths.map(denied => path.resolve(denied));
+    this.createMissing = createMissing;
+  }
+
+  /**
+   * Check whether a path equals or lies inside a directory
+   * @param {string} candidate - The absolute path to test
+   * @param {string} directory - The absolute directory
+   * @returns {boolean} - Whether the candidate is the directory or inside it
+   */
+  isWithin(candidate, directory) {
+    const caseInsensitive = process.platform === 'win32';
+    const a = caseInsensitive ? candidate.toLowerCase() : candidate;
+    const b = caseInsensitive ? directory.toLowerCase() : directory;
+    const relative = path.relative(b, a);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve symbolic links in a path, including for parts that do not exist yet
+   * @param {string} requestedPath - The absolute path
+   * @returns {Promise<{realPath: string, exists: boolean}>} - The real path and whether it exists
+   */
+  async resolveRealPath(requestedPath) {
+    let existing = path.resolve(requestedPath);
+    const missing = [];
+
+    while (true) {
+      try {
+        const realPath = await fs.realpath(existing);
+        return { realPath: path.join(realPath, ...missing), exists: missing.length === 0 };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+          return { realPath: path.resolve(requestedPath), exists: false };
+        }
+        missing.unshift(path.basename(existing));
+        existing = parent;
+      }
+    }
+  }
+
+  /**
+   * Refuse a base directory change and log why
+   * @param {string} requestedPath - The requested directory
+   * @param {string} reason - Why it was refused
+   */
+  deny(requestedPath, reason) {
+    this.logger(`Policy violation: base directory ${requestedPath} refused: ${reason}`);
+    throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Base directory ${requestedPath} is not allowed: ${reason}`);
+  }
+
+  /**
+   * Validate a requested base directory against the policy
+   * @param {string} requestedPath - The absolute directory requested
+   * @returns {Promise<{realPath: string, exists: boolean}>} - The resolved directory
+   */
+  async checkBaseDirectory(requestedPath) {
+    if (!path.isAbsolute(requestedPath)) {
+      this.deny(requestedPath, 'path must be absolute');
+    }
+
+    // Check the real path so a symlink cannot point the server somewhere denied
+    const { realPath, exists } = await this.resolveRealPath(requestedPath);
+
+    if (path.parse(realPath).root === realPath) {
+      this.deny(requestedPath, 'the filesystem root cannot be a base directory');
+    }
+
+    const denied = this.deniedPaths.find(deniedPath => this.isWithin(realPath, deniedPath));
+    if (denied) {
+      this.deny(requestedPath, `it is inside the denied path ${denied}`);
+    }
+
+    if (this.allowedParents.length > 0 && !this.allowedParents.some(parent => this.isWithin(realPath, parent))) {
+      this.deny(requestedPath, `it must be inside one of: ${this.allowedParents.join(', ')}`);
+    }
+
+    if (!exists && !this.createMissing) {
+      this.deny(requestedPath, 'the directory does not exist and creating base directories is disabled');
+    }
+
+    return { realPath, exists };
+  }
+}
@@ -0,0 +1,310 @@
+// services/resourceService.js
+import * as fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import {
+  ErrorCode as McpErrorCode,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// Most files offered by resources/list across all roots
+const DEFAULT_MAX_LISTED_RESOURCES = 1000;
+
+// Quiet period before a change to a subscribed resource is announced, so one save sends one notification
+const UPDATE_DEBOUNCE_MS = 100;
+
+// JSON-RPC error for unknown resources, as suggested by the MCP specification
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Service exposing workspace files as MCP resources: file:// URIs for files and directories
+ * in any root, git://<ref>/<path> URIs for files at a revision, and change subscriptions
+ */
+export class ResourceService {
+  /**
+   * Create a new resource service
+   * @param {McpServer} server - The MCP server instance
+   * @param {WorkspaceService} workspaceService - The workspace roots
+   * @param {function} logger - The logger function
+   * @param {Object} options - Resource options
+   * @param {number} options.maxListedResources - Most files returned by resources/list
+   */
+  constructor(server, workspaceService, logger, { maxListedResources = DEFAULT_MAX_LISTED_RESOURCES } = {}) {
+    this.server = server;
+    this.workspaceService = workspaceService;
+    this.logger = logger;
+    this.maxListedResources = maxListedResources;
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Register resource templates and subscription handlers with the MCP server
+   */
+  registerAllResources() {
+    // Directory URIs end with a slash, so they are matched before files
+    this.server.resource(
+      "directory",
+      new ResourceTemplate("file://{+path}/", { list: undefined }),
+      { description: "A directory in a workspace root, listed as [DIR] and [FILE] entries" },
+      async (uri) => this.readFileResource(uri)
+    );
+
+    this.server.resource(
+      "file",
+      new ResourceTemplate("file://{+path}", { list: async () => this.listFileResources() }),
+      { description: "A file in a workspace root" },
+      async (uri) => this.readFileResource(uri)
+    );
+
+    this.server.resource(
+      "git-directory",
+      new ResourceTemplate("git://{ref}/", { list: undefined }),
+      { description: "The default root's top-level directory at a git revision" },
+      async (uri, { ref }, { signal }) => this.readGitResource(uri, ref, '', signal)
+    );
+
+    this.server.resource(
+      "git-file",
+      new ResourceTemplate("git://{ref}/{+path}", { list: undefined }),
+      { description: "A file, or a directory when the path ends with a slash, in the default root at a git revision" },
+      async (uri, { ref, path: filePath }, { signal }) => this.readGitResource(uri, ref, filePath, signal)
+    );
+
+    this.registerSubscriptions();
+  }
+
+  /**
+   * Convert a service error into the JSON-RPC error returned for a resource request
+   * @param {Error} error - The caught error
+   * @returns {McpError} - The protocol error
+   */
+  toMcpError(error) {
+    if (error instanceof McpError) return error;
+    const { code, message } = ServiceError.describe(error);
+    const rpcCode = code === ErrorCode.NOT_FOUND
+      ? RESOURCE_NOT_FOUND
+      : code === ErrorCode.INTERNAL ? McpErrorCode.InternalError : McpErrorCode.InvalidParams;
+    return new McpError(rpcCode, message, { code });
+  }
+
+  /**
+   * Map a file:// URI onto the root that holds it
+   * @param {URL|string} uri - The resource URI
+   * @returns {{root: Object, relativePath: string, absolutePath: string}} - The root and the path inside it
+   */
+  resolveFileUri(uri) {
+    let absolutePath;
+    try {
+      absolutePath = fileURLToPath(uri);
+    } catch (error) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid file URI ${uri}: ${error.message}`);
+    }
+
+    const match = this.workspaceService.findRootForPath(absolutePath);
+    if (!match) {
+      throw new ServiceError(ErrorCode.OUTSIDE_ROOT, `${uri} is not inside any workspace root`);
+    }
+    return { ...match, absolutePath };
+  }
+
+  /**
+   * List the files of every root as resources
+   * @returns {Promise<{resources: Array}>} - The resources
+   */
+  async listFileResources() {
+    const resources = [];
+    for (const { name } of this.workspaceService.listRoots()) {
+      const remaining = this.maxListedResources - resources.length;
+      if (remaining <= 0) break;
+
+      try {
+        const { files, truncated } = await this.workspaceService.getFileService(name).listResourceFiles(remaining);
+        for (const file of files) {
+          resources.push({ uri: pathToFileURL(file.absolutePath).href, name: file.path, description: `${file.path} in root "${name}"` });
+        }
+        if (truncated) {
+          this.logger(`resources/list stopped after ${this.maxListedResources} files`);
+        }
+      } catch (error) {
+        this.logger(`Error listing resources for root "${name}": ${error.message}`);
+      }
+    }
+    return { resources };
+  }
+
+  /**
+   * Read a file:// resource
+   * @param {URL} uri - The resource URI
+   * @returns {Promise<{contents: Array}>} - The resource contents
+   */
+  async readFileResource(uri) {
+    this.logger(`resources/read called with: ${uri.href}`);
+
+    try {
+      const { root, relativePath } = this.resolveFileUri(uri);
+      const result = await root.fileService.readResource(relativePath);
+
+      if (result.isDirectory) {
+        const text = result.entries
+          .map(entry => `${entry.isDirectory ? '[DIR]' : '[FILE]'} ${entry.name}`)
+          .join('\n');
+        return { contents: [{ uri: uri.href, mimeType: "text/plain", text }] };
+      }
+
+      const content = result.text !== undefined ? { text: result.text } : { blob: result.blob };
+      return { contents: [{ uri: uri.href, mimeType: result.mimeType, ...content }] };
+    } catch (error) {
+      this.logger(`Error reading resource ${uri.href}: ${error.message}`);
+      throw this.toMcpError(error);
+    }
+  }
+
+  /**
+   * Read a git://<ref>/<path> resource from the default root
+   * @param {URL} uri - The resource URI
+   * @param {string} ref - The revision from the URI, percent-encoded if it contains a slash
+   * @param {string} filePath - The path from the URI; a trailing slash lists a directory
+   * @param {AbortSignal} signal - Cancels the git command
+   * @returns {Promise<{contents: Array}>} - The resource contents
+   */
+  async readGitResource(uri, ref, filePath, signal) {
+    this.logger(`resources/read called with: ${uri.href}`);
+
+    try {
+      const revision = decodeURIComponent(ref);
+      const requestedPath = decodeURIComponent(filePath);
+      const fileService = this.workspaceService.getFileService();
+      const gitService = this.workspaceService.getGitService().withSignal(signal);
+
+      // Apply the same containment and path rules as the file tools
+      const safePath = await fileService.resolveSafePath(requestedPath);
+      await fileService.assertAccess(safePath, 'read');
+      const pathspec = fileService.toRelativePath(safePath) || '.';
+
+      if (requestedPath === '' || requestedPath.endsWith('/')) {
+        const entries = await gitService.listTree(revision, pathspec);
+        const text = entries
+          .filter(entry => fileService.isReadable(path.join(safePath, entry.name)))
+          .map(entry => `${entry.isDirectory ? '[DIR]' : '[FILE]'} ${entry.name}`)
+          .join('\n');
+        return { contents: [{ uri: uri.href, mimeType: "text/plain", text }] };
+      }
+
+      const { content } = await gitService.readFileAtRevision(revision, pathspec);
+      const isText = fileService.mimeService.looksLikeText(content);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: isText ? "text/plain" : "application/octet-stream",
+          ...(isText ? { text: content.toString('utf8') } : { blob: content.toString('base64') })
+        }]
+      };
+    } catch (error) {
+      this.logger(`Error reading resource ${uri.href}: ${error.message}`);
+      throw this.toMcpError(error);
+    }
+  }
+
+  /**
+   * Handle resources/subscribe and resources/unsubscribe, and advertise subscription support
+   */
+  registerSubscriptions() {
+    const server = this.server.server;
+    server.registerCapabilities({ resources: { subscribe: true } });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.logger(`resources/subscribe called with: ${request.params.uri}`);
+      try {
+        await this.subscribe(request.params.uri);
+        return {};
+      } catch (error) {
+        this.logger(`Error subscribing to ${request.params.uri}: ${error.message}`);
+        throw this.toMcpError(error);
+      }
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.logger(`resources/unsubscribe called with: ${request.params.uri}`);
+      this.unsubscribe(request.params.uri);
+      return {};
+    });
+
+    const onclose = server.onclose;
+    server.onclose = () => {
+      this.unsubscribeAll();
+      onclose?.();
+    };
+  }
+
+  /**
+   * Start watching a file:// resource and send notifications/resources/updated when it changes
+   * @param {string} uri - The resource URI
+   * @returns {Promise<void>}
+   */
+  async subscribe(uri) {
+    if (!uri.startsWith('file://')) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Only file:// resources can be subscribed to: ${uri}`);
+    }
+    if (this.subscriptions.has(uri)) return;
+
+    const { root, relativePath } = this.resolveFileUri(uri);
+    const safePath = await root.fileService.resolveSafePath(relativePath);
+    await root.fileService.assertAccess(safePath, 'read');
+
+    // Watch a file through its parent directory, so saves that replace the file are still seen
+    const isDirectory = uri.endsWith('/') || (await fs.promises.stat(safePath).catch(() => null))?.isDirectory();
+    const watchedPath = isDirectory ? safePath : path.dirname(safePath);
+    const fileName = isDirectory ? null : path.basename(safePath);
+
+    const subscription = { watcher: null, timer: null };
+    subscription.watcher = fs.watch(watchedPath, { persistent: false }, (eventType, changedName) => {
+      if (fileName && changedName && changedName.toString() !== fileName) return;
+      clearTimeout(subscription.timer);
+      subscription.timer = setTimeout(() => this.notifyUpdated(uri), UPDATE_DEBOUNCE_MS);
+    });
+    subscription.watcher.on('error', error => {
+      this.logger(`Stopped watching ${uri}: ${error.message}`);
+      this.unsubscribe(uri);
+    });
+
+    this.subscriptions.set(uri, subscription);
+    this.logger(`Watching ${watchedPath} for ${uri}`);
+  }
+
+  /**
+   * Send notifications/resources/updated for a subscribed resource
+   * @param {string} uri - The resource URI
+   */
+  notifyUpdated(uri) {
+    if (!this.subscriptions.has(uri)) return;
+    this.logger(`Resource updated: ${uri}`);
+    this.server.server.sendResourceUpdated({ uri }).catch(error => {
+      this.logger(`Error sending resource update for ${uri}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Stop watching a resource
+   * @param {string} uri - The resource URI
+   */
+  unsubscribe(uri) {
+    const subscription = this.subscriptions.get(uri);
+    if (!subscription) return;
+    clearTimeout(subscription.timer);
+    subscription.watcher.close();
+    this.subscriptions.delete(uri);
+  }
+
+  /**
+   * Stop watching every resource, when the client disconnects
+   */
+  unsubscribeAll() {
+    for (const uri of [...this.subscriptions.keys()]) {
+      this.unsubscribe(uri);
+    }
+  }
+}
@@ -0,0 +1,70 @@
+// services/serviceError.js
+
+// Machine-readable codes reported to clients when a tool call fails
+export const ErrorCode = {
+  NOT_FOUND: 'NOT_FOUND',
+  ALREADY_EXISTS: 'ALREADY_EXISTS',
+  OUTSIDE_ROOT: 'OUTSIDE_ROOT',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  CONFLICT: 'CONFLICT',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED',
+  TOO_LARGE: 'TOO_LARGE',
+  UNAVAILABLE: 'UNAVAILABLE',
+  GIT_FAILED: 'GIT_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  INTERNAL: 'INTERNAL'
+};
+
+// Node.js system error codes mapped onto the codes above
+const SYSTEM_ERROR_CODES = {
+  ENOENT: ErrorCode.NOT_FOUND,
+  EEXIST: ErrorCode.ALREADY_EXISTS,
+  ENOTEMPTY: ErrorCode.CONFLICT,
+  EACCES: ErrorCode.PERMISSION_DENIED,
+  EPERM: ErrorCode.PERMISSION_DENIED,
+  EROFS: ErrorCode.PERMISSION_DENIED,
+  ENOTDIR: ErrorCode.INVALID_ARGUMENT,
+  EISDIR: ErrorCode.INVALID_ARGUMENT,
+  ELOOP: ErrorCode.INVALID_ARGUMENT,
+  ENAMETOOLONG: ErrorCode.INVALID_ARGUMENT,
+  EFBIG: ErrorCode.TOO_LARGE,
+  ENOSPC: ErrorCode.UNAVAILABLE,
+  EBUSY: ErrorCode.UNAVAILABLE,
+  ERR_FEATURE_UNAVAILABLE_ON_PLATFORM: ErrorCode.UNAVAILABLE,
+  ETIMEDOUT: ErrorCode.TIMEOUT
+};
+
+/**
+ * Error thrown by the services for failures a client can act on, carrying one of the ErrorCode values
+ */
+export class ServiceError extends Error {
+  /**
+   * Create a new service error
+   * @param {string} code - One of the ErrorCode values
+   * @param {string} message - The human-readable message
+   * @param {Object} details - Extra machine-readable context, such as the current hash on a conflict
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Describe any thrown value in terms of the error taxonomy
+   * @param {Error} error - The caught error
+   * @returns {{code: string, message: string, details: Object}} - The code, message and details to report
+   */
+  static describe(error) {
+    if (error instanceof ServiceError) {
+      return { code: error.code, message: error.message, details: error.details };
+    }
+
+    const code = SYSTEM_ERROR_CODES[error?.code] || ErrorCode.INTERNAL;
+    const details = error?.code && code !== ErrorCode.INTERNAL ? { systemCode: error.code } : {};
+    return { code, message: error?.message || String(error), details };
+  }
+}
@@ -1,6 +1,10 @@
 // services/toolService.js
 import { z } from 'zod';
 import path from 'path'; // Added the path import that was missing
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// Shared schema for selecting a workspace root
+const rootParam = z.string().optional().describe("Name of the workspace root to use (defaults to the default root, see list_roots)");
 
 /**
  * Service for registering MCP tools
@@ -9,15 +13,28 @@ export class ToolService {
   /**
    * Create a new tool service
    * @param {McpServer} server - The MCP server instance
-   * @param {FileService} fileService - The file service instance
-   * @param {GitService} gitService - The git service instance
+   * @param {WorkspaceService} workspaceService - The workspace roots and their services
    * @param {function} logger - The logger function
+   * @param {PermissionService} permissionService - Decides which tools the active profile allows
    */
-  constructor(server, fileService, gitService, logger) {
+  constructor(server, workspaceService, logger, permissionService) {
     this.server = server;
-    this.fileService = fileService;
-    this.gitService = gitService;
+    this.workspaceService = workspaceService;
     this.logger = logger;
+    this.permissionService = permissionService;
+  }
+  
+  /**
+   * Register a tool unless the permission profile disallows it
+   * @param {string} name - The tool name
+   * @param {...any} args - Description, schema and handler, as for McpServer.tool
+   */
+  registerTool(name, ...args) {
+    if (this.permissionService && !this.permissionService.isToolAllowed(name)) {
+      this.logger(`Skipping tool ${name}: not allowed by the "${this.permissionService.profile}" permission profile`);
+      return;
+    }
+    this.server.tool(name, ...args);
   }
   
   /**
@@ -26,6 +43,7 @@ export class ToolService {
   registerAllTools() {
     this.registerFileTools();
     this.registerGitTools();
+    this.registerGitWriteTools();
   }
   
   /**
@@ -33,104 +51,130 @@ export class ToolService {
    */
   registerFileTools() {
     // Register set_base_directory tool
-    this.server.tool(
+    this.registerTool(
       "set_base_directory",
       "Set the base directory for file operations",
       {
-        path: z.string().describe("Absolute path to the new base directory")
+        path: z.string().describe("Absolute path to the new base directory"),
+        root: z.string().optional().describe("Name of the workspace root to repoint (defaults to the default root)")
       },
-      async ({ path: newBasePath }) => {
-        this.logger(`set_base_directory called with: ${JSON.stringify(newBasePath)}`);
+      async ({ path: newBasePath, root }) => {
+        this.logger(`set_base_directory called with: ${JSON.stringify({ newBasePath, root })}`);
         
         try {
           // Validate the new path
           if (!path.isAbsolute(newBasePath)) {
-            return {
-              content: [{ type: "text", text: `Error: Path must be absolute. Please provide a full path.` }]
-            };
+            throw new ServiceError(ErrorCode.INVALID_ARGUMENT, 'Path must be absolute. Please provide a full path.');
           }
           
-          // Check if the path exists or can be created
-          const dirExists = await this.fileService.ensureDirectoryExists(newBasePath);
-          if (!dirExists) {
-            return {
-              content: [{ type: "text", text: `Error: Could not create or access directory at: ${newBasePath}` }]
-            };
-          }
+          // Update the base directory, subject to the base directory policy
+          const { name: rootName, oldPath } = await this.workspaceService.changeRootPath(root, newBasePath);
           
-          // Update the base directory
-          const oldPath = this.fileService.getBaseDirectory();
-          this.fileService.setBaseDirectory(newBasePath);
-          this.gitService.setBaseDirectory(newBasePath);
-          
-          this.logger(`Base directory changed from ${oldPath} to ${newBasePath}`);
+          this.logger(`Base directory of root "${rootName}" changed from ${oldPath} to ${newBasePath}`);
           
           return {
-            content: [{ type: "text", text: `Base directory successfully set to: ${newBasePath}` }]
+            content: [{ type: "text", text: `Base directory of root "${rootName}" successfully set to: ${newBasePath}` }]
           };
         } catch (error) {
           this.logger(`Error in set_base_directory: ${error.message}`);
-          return {
-            content: [{ type: "text", text: `Error setting base directory: ${error.message}` }]
-          };
+          return this.errorResult("Error setting base directory", error);
         }
       }
     );
 
     // Register get_base_directory tool
-    this.server.tool(
+    this.registerTool(
       "get_base_directory",
       "Get the current base directory for file operations",
+      {
+        root: rootParam
+      },
+      async ({ root }) => {
+        this.logger(`get_base_directory called with: ${JSON.stringify({ root })}`);
+        
+        try {
+          const { name, path: rootPath } = this.workspaceService.getRoot(root);
+          
+          return {
+            content: [{ type: "text", text: `Current BASE_DIRECTORY (root "${name}"): ${rootPath}` }]
+          };
+        } catch (error) {
+          this.logger(`Error in get_base_directory: ${error.message}`);
+          return this.errorResult("Error getting base directory", error);
+        }
+      }
+    );
+    
+    // Register list_roots tool
+    this.registerTool(
+      "list_roots",
+      "List the named workspace roots that file and git tools can target with the `root` argument",
       {},
       async () => {
-        this.logger(`get_base_directory called`);
+        this.logger(`list_roots called`);
+        
+        const lines = this.workspaceService.listRoots()
+          .map(root => `${root.name}: ${root.path} (${root.source}${root.isDefault ? ', default' : ''})`)
+          .join('\n');
         
         return {
-          content: [{ type: "text", text: `Current BASE_DIRECTORY: ${this.fileService.getBaseDirectory()}` }]
+          content: [{ type: "text", text: `Workspace roots:\n\n${lines}` }]
         };
       }
     );
     
     // Register list_files tool
-    this.server.tool(
+    this.registerTool(
       "list_files",
-      "List files in a specified directory",
+      "List files in a specified directory, or in the directory as it was at a git revision",
       {
-        directory: z.string().optional().describe("Directory path to list (defaults to root)")
+        directory: z.string().optional().describe("Directory path to list (defaults to root)"),
+        ref: z.string().optional().describe("Git revision to list the directory at, e.g. 'HEAD~1' or 'v1.0' (defaults to the working tree)"),
+        root: rootParam
       },
-      async ({ directory }) => {
-        this.logger(`list_files called with: ${JSON.stringify(directory)}`);
+      async ({ directory, ref, root }, { signal }) => {
+        this.logger(`list_files called with: ${JSON.stringify({ directory, ref, root })}`);
         
         try {
-          const entries = await this.fileService.listFiles(directory || '');
+          const entries = ref
+            ? await this.listFilesAtRevision(root, directory, ref, signal)
+            : await this.workspaceService.getFileService(root).listFiles(directory || '');
           const files = entries
             .map(entry => `${entry.isDirectory ? '[DIR]' : '[FILE]'} ${entry.name}`)
             .join('\n');
           
           return {
-            content: [{ type: "text", text: `Files in ${directory || 'root'}:\n\n${files}` }]
+            content: [{ type: "text", text: `Files in ${directory || 'root'}${ref ? ` at ${ref}` : ''}:\n\n${files}` }]
           };
         } catch (error) {
           this.logger(`Error in list_files: ${error.message}`);
-          return {
-            content: [{ type: "text", text: `Error listing files: ${error.message}` }]
-          };
+          return this.errorResult("Error listing files", error);
         }
       }
     );
     
     // Register read_file tool
-    this.server.tool(
+    this.registerTool(
       "read_file",
-      "Read the content of a file",
+      "Read the content of a file. Word (.docx) and Excel (.xlsx, .xls) files are converted to text",
       {
-        path: z.string().describe("Path to the file to read")
+        path: z.string().describe("Path to the file to read"),
+        format: z.enum(['markdown', 'text', 'csv']).optional().describe("Output format for documents: markdown or text for .docx (default markdown), csv or markdown for spreadsheets (default csv)"),
+        sheet: z.string().optional().describe("Worksheet name to read from a spreadsheet (defaults to all sheets)"),
+        range: z.string().optional().describe("Cell range to read from a spreadsheet, e.g. 'A1:D20'"),
+        unit: z.enum(['lines', 'bytes']).optional().describe("Pagination unit for text files (defaults to lines)"),
+        offset: z.number().int().min(0).optional().describe("Zero-based line or byte offset to start reading from"),
+        limit: z.number().int().min(1).optional().describe("Maximum number of lines or bytes to return (defaults to 2000 lines or 65536 bytes)"),
+        tail: z.boolean().optional().describe("Read the last `limit` lines or bytes of the file"),
+        cursor: z.string().optional().describe("Continuation cursor returned by a previous read_file call"),
+        binary: z.enum(['summary', 'base64']).optional().describe("How to return non-image binary files: a metadata summary with hex preview (default) or base64"),
+        root: rootParam
       },
-      async ({ path: filePath }) => {
-        this.logger(`read_file called with: ${JSON.stringify(filePath)}`);
+      async ({ path: filePath, format, sheet, range, unit, offset, limit, tail, cursor, binary, root }) => {
+        this.logger(`read_file called with: ${JSON.stringify({ filePath, format, sheet, range, unit, offset, limit, tail, cursor, binary, root })}`);
         
         try {
-          const result = await this.fileService.readFile(filePath);
+          const result = await this.workspaceService.getFileService(root).readFile(filePath, { format, sheet, range, unit, offset, limit, tail, cursor, binary });
           
           if (result.isDirectory) {
             const files = result.entries
@@ -142,68 +186,563 @@ export class ToolService {
             };
           }
           
+          if (result.isBinary) {
+            const header = `File: ${filePath}\nType: ${result.mimeType}\nSize: ${result.size} bytes\nHash (sha256): ${result.hash}\n`;
+            
+            if (result.isImage) {
+              return {
+                content: [
+                  { type: "text", text: header },
+                  { type: "image", data: result.data, mimeType: result.mimeType }
+                ]
+              };
+            }
+            
+            if (result.encoding === 'base64') {
+              return {
+                content: [{ type: "text", text: `${header}Encoding: base64\n\n${result.data}` }]
+              };
+            }
+            
+            return {
+              content: [{ type: "text", text: `${header}Binary file, content not shown. Use binary: "base64" to retrieve it.\n\nHex preview:\n${result.hexPreview}` }]
+            };
+          }
+          
+          if (result.isDocument) {
+            const sheets = result.sheets ? `Sheets: ${result.sheets.join(', ')}\n` : '';
+            return {
+              content: [{ type: "text", text: `File: ${filePath} (converted from ${result.documentType})\nHash (sha256): ${result.hash}\n${sheets}\n${result.content}` }]
+            };
+          }
+          
+          // Describe the page so the assistant knows how to continue
+          const shown = result.unit === 'lines'
+            ? `Lines ${result.start + 1}-${result.end}`
+            : `Bytes ${result.start}-${result.end}`;
+          let header = `File: ${filePath}\nSize: ${result.size} bytes, ${result.totalLines} lines\nHash (sha256): ${result.hash}\nShowing: ${shown}\n`;
+          if (result.truncated) {
+            header += `A line is longer than the page limit, so only part of it is shown.\n`;
+          }
+          if (result.nextCursor) {
+            header += `More content available. Continue with cursor: ${result.nextCursor}\n`;
+          }
+          
           return {
-            content: [{ type: "text", text: `File: ${filePath}\n\n${result.content}` }]
+            content: [{ type: "text", text: `${header}\n${result.content}` }]
           };
         } catch (error) {
           this.logger(`Error in read_file: ${error.message}`);
+          return this.errorResult("Error reading file", error);
+        }
+      }
+    );
+    
+    // Register search_files tool
+    this.registerTool(
+      "search_files",
+      "Search file contents under a directory for literal text or a regular expression",
+      {
+        pattern: z.string().min(1).describe("Text or regular expression to search for"),
+        directory: z.string().optional().describe("Directory or file to search (defaults to root)"),
+        regex: z.boolean().optional().describe("Treat the pattern as a regular expression (defaults to false)"),
+        caseSensitive: z.boolean().optional().describe("Match case exactly (defaults to false)"),
+        include: z.array(z.string()).optional().describe("Glob patterns files must match, e.g. ['*.js', 'src/**']"),
+        exclude: z.array(z.string()).optional().describe("Glob patterns for files or directories to skip (.git and node_modules are always skipped)"),
+        contextLines: z.number().int().min(0).max(20).optional().describe("Lines of context to show before and after each match"),
+        maxResults: z.number().int().min(1).max(1000).optional().describe("Maximum number of matches to return (defaults to 100)"),
+        root: rootParam
+      },
+      async ({ pattern, directory, regex, caseSensitive, include, exclude, contextLines, maxResults, root }) => {
+        this.logger(`search_files called with: ${JSON.stringify({ pattern, directory, regex, caseSensitive, include, exclude, contextLines, maxResults, root })}`);
+        
+        try {
+          const { matches, filesSearched, truncated } = await this.workspaceService.getFileService(root).searchFiles(directory || '', pattern, {
+            regex, caseSensitive, include, exclude, contextLines, maxResults
+          });
+          
+          if (matches.length === 0) {
+            return {
+              content: [{ type: "text", text: `No matches for ${JSON.stringify(pattern)} in ${filesSearched} files` }]
+            };
+          }
+          
+          // grep-style output: "path:line: text" for hits, "path-line- text" for context
+          const blocks = matches.map(match => {
+            const firstLine = match.line - match.before.length;
+            return [
+              ...match.before.map((text, i) => `${match.path}-${firstLine + i}- ${text}`),
+              `${match.path}:${match.line}: ${match.text}`,
+              ...match.after.map((text, i) => `${match.path}-${match.line + 1 + i}- ${text}`)
+            ].join('\n');
+          });
+          
+          let summary = `Found ${matches.length} matches in ${filesSearched} files searched`;
+          if (truncated) {
+            summary += ` (results truncated, increase maxResults or narrow the search)`;
+          }
+          
           return {
-            content: [{ type: "text", text: `Error reading file: ${error.message}` }]
+            content: [{ type: "text", text: `${summary}:\n\n${blocks.join(contextLines ? '\n--\n' : '\n')}` }]
           };
+        } catch (error) {
+          this.logger(`Error in search_files: ${error.message}`);
+          return this.errorResult("Error searching files", error);
+        }
+      }
+    );
+    
+    // Register find_files tool
+    this.registerTool(
+      "find_files",
+      "Recursively find files and directories by glob pattern, size and modification time",
+      {
+        pattern: z.string().optional().describe("Glob pattern relative to the directory, e.g. 'src/**/*.test.js' or '.env' (names without a slash match at any depth)"),
+        directory: z.string().optional().describe("Directory to search under (defaults to root)"),
+        type: z.enum(['file', 'directory', 'any']).optional().describe("Only return files or directories (defaults to any)"),
+        minSize: z.number().int().min(0).optional().describe("Minimum file size in bytes"),
+        maxSize: z.number().int().min(0).optional().describe("Maximum file size in bytes"),
+        modifiedAfter: z.string().optional().describe("Only entries modified after this ISO date or relative age, e.g. '7d', '12h'"),
+        modifiedBefore: z.string().optional().describe("Only entries modified before this ISO date or relative age"),
+        exclude: z.array(z.string()).optional().describe("Glob patterns for paths to skip (.git and node_modules are always skipped)"),
+        maxResults: z.number().int().min(1).max(5000).optional().describe("Maximum number of entries to return (defaults to 200)"),
+        root: rootParam
+      },
+      async ({ pattern, directory, type, minSize, maxSize, modifiedAfter, modifiedBefore, exclude, maxResults, root }) => {
+        this.logger(`find_files called with: ${JSON.stringify({ pattern, directory, type, minSize, maxSize, modifiedAfter, modifiedBefore, exclude, maxResults, root })}`);
+        
+        try {
+          const { entries, truncated } = await this.workspaceService.getFileService(root).findFiles(directory || '', {
+            pattern, type, minSize, maxSize, modifiedAfter, modifiedBefore, exclude, maxResults
+          });
+          
+          if (entries.length === 0) {
+            return {
+              content: [{ type: "text", text: `No entries found in ${directory || 'root'}` }]
+            };
+          }
+          
+          const lines = entries
+            .map(entry => entry.isDirectory
+              ? `[DIR] ${entry.path} (modified ${entry.modified})`
+              : `[FILE] ${entry.path} (${entry.size} bytes, modified ${entry.modified})`)
+            .join('\n');
+          
+          let summary = `Found ${entries.length} entries in ${directory || 'root'}`;
+          if (truncated) {
+            summary += ` (results truncated, increase maxResults or narrow the search)`;
+          }
+          
+          return {
+            content: [{ type: "text", text: `${summary}:\n\n${lines}` }]
+          };
+        } catch (error) {
+          this.logger(`Error in find_files: ${error.message}`);
+          return this.errorResult("Error finding files", error);
+        }
+      }
+    );
+    
+    // Register directory_tree tool
+    this.registerTool(
+      "directory_tree",
+      "Show a recursive tree of a directory with sizes and modification times, skipping .git, node_modules and .gitignore matches",
+      {
+        directory: z.string().optional().describe("Directory to render (defaults to root)"),
+        depth: z.number().int().min(1).max(20).optional().describe("How many levels to descend (defaults to 3)"),
+        format: z.enum(['text', 'json']).optional().describe("Indented text tree (default) or nested JSON"),
+        respectGitignore: z.boolean().optional().describe("Skip paths matched by .gitignore files (defaults to true)"),
+        exclude: z.array(z.string()).optional().describe("Extra glob patterns for paths to skip"),
+        maxEntries: z.number().int().min(1).max(10000).optional().describe("Maximum number of entries to include (defaults to 1000)"),
+        root: rootParam
+      },
+      async ({ directory, depth, format, respectGitignore, exclude, maxEntries, root }) => {
+        this.logger(`directory_tree called with: ${JSON.stringify({ directory, depth, format, respectGitignore, exclude, maxEntries, root })}`);
+        
+        try {
+          const { root: tree, count, truncated } = await this.workspaceService.getFileService(root).getDirectoryTree(directory || '', {
+            maxDepth: depth, respectGitignore, exclude, maxEntries
+          });
+          
+          const note = truncated ? `\n(truncated after ${count} entries, reduce depth or raise maxEntries)` : '';
+          
+          if (format === 'json') {
+            return {
+              content: [{ type: "text", text: `${JSON.stringify(tree, null, 2)}${note}` }]
+            };
+          }
+          
+          return {
+            content: [{ type: "text", text: `${tree.name}/\n${this.formatTree(tree.children, '')}${note}` }]
+          };
+        } catch (error) {
+          this.logger(`Error in directory_tree: ${error.message}`);
+          return this.errorResult("Error building directory tree", error);
+        }
+      }
+    );
+    
+    // Register get_file_info tool
+    this.registerTool(
+      "get_file_info",
+      "Get metadata for a file or directory (size, times, permissions, owner, symlink target, MIME type) without reading it",
+      {
+        path: z.string().describe("Path to the file or directory"),
+        hash: z.boolean().optional().describe("Compute the SHA-256 hash of the file"),
+        counts: z.boolean().optional().describe("Count lines and words (text files only)"),
+        root: rootParam
+      },
+      async ({ path: filePath, hash, counts, root }) => {
+        this.logger(`get_file_info called with: ${JSON.stringify({ filePath, hash, counts, root })}`);
+        
+        try {
+          const info = await this.workspaceService.getFileService(root).getFileInfo(filePath, { hash, counts });
+          
+          const lines = [
+            `Path: ${info.path || '.'}`,
+            `Type: ${info.type}${info.symlinkTarget ? ` -> ${info.symlinkTarget} (${info.targetType})` : ''}`,
+            `Size: ${info.size} bytes`,
+            `Created: ${info.created}`,
+            `Modified: ${info.modified}`,
+            `Accessed: ${info.accessed}`,
+            `Permissions: ${info.permissions.octal} (${info.permissions.symbolic})`,
+            `Owner: ${info.owner.name ? `${info.owner.name} ` : ''}(uid ${info.owner.uid}, gid ${info.owner.gid})`
+          ];
+          if (info.mimeType) lines.push(`MIME type: ${info.mimeType}`);
+          if (info.sha256) lines.push(`SHA-256: ${info.sha256}`);
+          if (info.lines !== undefined) lines.push(`Lines: ${info.lines}`, `Words: ${info.words}`);
+          
+          return {
+            content: [{ type: "text", text: lines.join('\n') }]
+          };
+        } catch (error) {
+          this.logger(`Error in get_file_info: ${error.message}`);
+          return this.errorResult("Error getting file info", error);
         }
       }
     );
     
     // Register write_file tool
-    this.server.tool(
+    this.registerTool(
       "write_file",
       "Write content to a file",
       {
         path: z.string().describe("Path to the file to write"),
-        content: z.string().describe("Content to write to the file")
+        content: z.string().describe("Content to write to the file"),
+        expectedHash: z.string().optional().describe("Hash returned by read_file; the write is refused if the file has changed since"),
+        root: rootParam
       },
-      async ({ path: filePath, content }) => {
-        this.logger(`write_file called with path: ${JSON.stringify(filePath)}`);
+      async ({ path: filePath, content, expectedHash, root }) => {
+        this.logger(`write_file called with path: ${JSON.stringify({ filePath, root })}`);
         
         try {
-          await this.fileService.writeFile(filePath, content);
+          const { hash } = await this.workspaceService.getFileService(root).writeFile(filePath, content, { expectedHash });
           
           return {
-            content: [{ type: "text", text: `Successfully wrote to file: ${filePath}` }]
+            content: [{ type: "text", text: `Successfully wrote to file: ${filePath}\nHash (sha256): ${hash}` }]
           };
         } catch (error) {
           this.logger(`Error in write_file: ${error.message}`);
+          return this.errorResult("Error writing file", error);
+        }
+      }
+    );
+    
+    // Register edit_file tool
+    this.registerTool(
+      "edit_file",
+      "Edit part of a text file with exact find/replace edits or a unified diff, instead of rewriting the whole file",
+      {
+        path: z.string().describe("Path to the file to edit"),
+        edits: z.array(z.object({
+          oldText: z.string().describe("Exact text to replace; must appear exactly once"),
+          newText: z.string().describe("Replacement text")
+        })).optional().describe("Replacements applied in order"),
+        patch: z.string().optional().describe("Unified diff to apply (alternative to edits)"),
+        dryRun: z.boolean().optional().describe("Return the resulting diff without writing the file"),
+        expectedHash: z.string().optional().describe("Hash returned by read_file; the edit is refused if the file has changed since"),
+        root: rootParam
+      },
+      async ({ path: filePath, edits, patch, dryRun, expectedHash, root }) => {
+        this.logger(`edit_file called with: ${JSON.stringify({ filePath, edits: edits?.length, patch: Boolean(patch), dryRun, expectedHash, root })}`);
+        
+        try {
+          const { diff, changed, written, hash } = await this.workspaceService.getFileService(root).editFile(filePath, { edits, patch, dryRun, expectedHash });
+          
+          let status;
+          if (!changed) {
+            status = `No changes to ${filePath}`;
+          } else if (written) {
+            status = `Successfully edited file: ${filePath}`;
+          } else {
+            status = `Dry run, ${filePath} was not modified. Resulting diff:`;
+          }
+          
           return {
-            content: [{ type: "text", text: `Error writing file: ${error.message}` }]
+            content: [{ type: "text", text: `${status}\nHash (sha256): ${hash}${changed ? `\n\n${diff}` : ''}` }]
           };
+        } catch (error) {
+          this.logger(`Error in edit_file: ${error.message}`);
+          return this.errorResult("Error editing file", error);
+        }
+      }
+    );
+    
+    // Register copy_file tool
+    this.registerTool(
+      "copy_file",
+      "Copy a file or directory tree, preserving permissions and timestamps",
+      {
+        source: z.string().describe("Path to the file or directory to copy"),
+        destination: z.string().describe("Full destination path, including the new name"),
+        overwrite: z.enum(['fail', 'overwrite', 'skip']).optional().describe("What to do when the destination exists: fail (default), overwrite (replaced files go to the trash), or skip existing files"),
+        root: rootParam
+      },
+      async ({ source, destination, overwrite, root }) => {
+        this.logger(`copy_file called with: ${JSON.stringify({ source, destination, overwrite, root })}`);
+        
+        try {
+          const { copied, skipped, replaced } = await this.workspaceService.getFileService(root).copyPath(source, destination, { overwrite });
+          
+          const trashed = replaced > 0 ? `, ${replaced} replaced items moved to trash` : '';
+          return {
+            content: [{ type: "text", text: `Successfully copied ${source} to ${destination} (${copied} copied, ${skipped} skipped${trashed})` }]
+          };
+        } catch (error) {
+          this.logger(`Error in copy_file: ${error.message}`);
+          return this.errorResult("Error copying file", error);
+        }
+      }
+    );
+    
+    // Register move_file tool
+    this.registerTool(
+      "move_file",
+      "Move or rename a file or directory tree",
+      {
+        source: z.string().describe("Path to the file or directory to move"),
+        destination: z.string().describe("Full destination path, including the new name"),
+        overwrite: z.enum(['fail', 'overwrite', 'skip']).optional().describe("What to do when the destination exists: fail (default), overwrite it (the old destination goes to the trash), or skip the move"),
+        root: rootParam
+      },
+      async ({ source, destination, overwrite, root }) => {
+        this.logger(`move_file called with: ${JSON.stringify({ source, destination, overwrite, root })}`);
+        
+        try {
+          const { moved, replaced } = await this.workspaceService.getFileService(root).movePath(source, destination, { overwrite });
+          
+          const trashed = replaced ? ` (the previous ${destination} was moved to trash, ID: ${replaced.id})` : '';
+          return {
+            content: [{ type: "text", text: moved
+              ? `Successfully moved ${source} to ${destination}${trashed}`
+              : `Skipped: ${destination} already exists` }]
+          };
+        } catch (error) {
+          this.logger(`Error in move_file: ${error.message}`);
+          return this.errorResult("Error moving file", error);
         }
       }
     );
     
     // Register delete_file tool
-    this.server.tool(
+    this.registerTool(
       "delete_file",
-      "Delete a file or directory",
+      "Delete a file or directory by moving it to the trash, where it can be restored with restore_file",
       {
-        path: z.string().describe("Path to the file or directory to delete")
+        path: z.string().describe("Path to the file or directory to delete"),
+        expectedHash: z.string().optional().describe("Hash returned by read_file; the delete is refused if the file has changed since"),
+        confirm: z.boolean().optional().describe("Required to delete the base directory itself or a large directory"),
+        root: rootParam
       },
-      async ({ path: filePath }) => {
-        this.logger(`delete_file called with: ${JSON.stringify(filePath)}`);
+      async ({ path: filePath, expectedHash, confirm, root }) => {
+        this.logger(`delete_file called with: ${JSON.stringify({ filePath, expectedHash, confirm, root })}`);
         
         try {
-          await this.fileService.deleteFile(filePath);
+          const entry = await this.workspaceService.getFileService(root).deleteFile(filePath, { expectedHash, confirm });
           
           return {
-            content: [{ type: "text", text: `Successfully deleted: ${filePath}` }]
+            content: [{ type: "text", text: `Successfully deleted: ${filePath} (moved to trash, ID: ${entry.id}, ${entry.size} bytes)` }]
           };
         } catch (error) {
           this.logger(`Error in delete_file: ${error.message}`);
+          return this.errorResult("Error deleting file", error);
+        }
+      }
+    );
+    
+    // Register list_trash tool
+    this.registerTool(
+      "list_trash",
+      "List deleted files and directories that can be restored",
+      {},
+      async () => {
+        this.logger(`list_trash called`);
+        
+        try {
+          const entries = await this.workspaceService.listTrash();
+          
+          if (entries.length === 0) {
+            return {
+              content: [{ type: "text", text: `Trash is empty` }]
+            };
+          }
+          
+          const lines = entries
+            .map(entry => `${entry.id}  ${entry.isDirectory ? '[DIR]' : '[FILE]'} ${entry.relativePath || '/'} (${entry.size} bytes, deleted ${entry.deletedAt}, from ${entry.baseDirectory})`)
+            .join('\n');
+          
+          return {
+            content: [{ type: "text", text: `Trash entries:\n\n${lines}` }]
+          };
+        } catch (error) {
+          this.logger(`Error in list_trash: ${error.message}`);
+          return this.errorResult("Error listing trash", error);
+        }
+      }
+    );
+    
+    // Register restore_file tool
+    this.registerTool(
+      "restore_file",
+      "Restore a deleted file or directory from the trash",
+      {
+        id: z.string().describe("Trash entry ID from list_trash or delete_file"),
+        destination: z.string().optional().describe("Path to restore to (defaults to the original path in the root it was deleted from)"),
+        overwrite: z.enum(['fail', 'overwrite']).optional().describe("What to do when the destination exists (defaults to fail); an overwritten item goes to the trash"),
+        confirm: z.boolean().optional().describe("Required to replace the base directory itself"),
+        root: rootParam
+      },
+      async ({ id, destination, overwrite, confirm, root }) => {
+        this.logger(`restore_file called with: ${JSON.stringify({ id, destination, overwrite, confirm, root })}`);
+        
+        try {
+          const target = await this.workspaceService.getTrashRestoreTarget(id, { root, destination });
+          const { restoredTo, replaced } = await target.fileService.restoreFromTrash(id, { destination: target.destination, overwrite, confirm });
+          
+          const trashed = replaced ? ` (the previous item was moved to trash, ID: ${replaced.id})` : '';
+          return {
+            content: [{ type: "text", text: `Successfully restored ${id} to: ${restoredTo || '/'}${trashed}` }]
+          };
+        } catch (error) {
+          this.logger(`Error in restore_file: ${error.message}`);
+          return this.errorResult("Error restoring file", error);
+        }
+      }
+    );
+    
+    // Register empty_trash tool
+    this.registerTool(
+      "empty_trash",
+      "Permanently delete items from the trash",
+      {
+        confirm: z.boolean().describe("Must be true; emptied items cannot be restored"),
+        ids: z.array(z.string()).optional().describe("Only remove these trash entries (defaults to all)"),
+        olderThanDays: z.number().min(0).optional().describe("Only remove entries deleted more than this many days ago")
+      },
+      async ({ confirm, ids, olderThanDays }) => {
+        this.logger(`empty_trash called with: ${JSON.stringify({ confirm, ids, olderThanDays })}`);
+        
+        if (!confirm) {
+          return this.errorResult("Error", new ServiceError(ErrorCode.CONFIRMATION_REQUIRED, 'empty_trash permanently deletes files. Pass confirm: true to proceed'));
+        }
+        
+        try {
+          const removed = await this.workspaceService.emptyTrash({ ids, olderThanDays });
+          
           return {
-            content: [{ type: "text", text: `Error deleting file: ${error.message}` }]
+            content: [{ type: "text", text: `Permanently deleted ${removed.length} trash entries` }]
           };
+        } catch (error) {
+          this.logger(`Error in empty_trash: ${error.message}`);
+          return this.errorResult("Error emptying trash", error);
         }
       }
     );
+    
+    // Register watch_directory tool
+    this.registerTool(
+      "watch_directory",
+      "Start recording changes under the base directory and return a cursor. Pass the cursor to get_changes to see what was created, modified, deleted or renamed since",
+      {
+        root: rootParam
+      },
+      async ({ root }) => {
+        this.logger(`watch_directory called with: ${JSON.stringify({ root })}`);
+        
+        try {
+          const fileService = this.workspaceService.getFileService(root);
+          const cursor = await fileService.watchService.start();
+          
+          return this.structuredResult(`Watching ${fileService.getBaseDirectory()} for changes.\nCursor: ${cursor}`, { cursor });
+        } catch (error) {
+          this.logger(`Error in watch_directory: ${error.message}`);
+          return this.errorResult("Error watching directory", error);
+        }
+      }
+    );
+    
+    // Register get_changes tool
+    this.registerTool(
+      "get_changes",
+      "List files and directories created, modified, deleted or renamed since a cursor from watch_directory or a previous get_changes call. Starts watching if needed. Returns readable text followed by a JSON block",
+      {
+        cursor: z.string().optional().describe("Cursor from watch_directory or a previous get_changes call (omit to list every recorded change)"),
+        directory: z.string().optional().describe("Only list changes at or below this directory"),
+        limit: z.number().int().min(1).max(1000).optional().describe("Maximum number of changes to return (default 100)"),
+        root: rootParam
+      },
+      async ({ cursor, directory, limit, root }) => {
+        this.logger(`get_changes called with: ${JSON.stringify({ cursor, directory, limit, root })}`);
+        
+        try {
+          const fileService = this.workspaceService.getFileService(root);
+          let prefix = '';
+          if (directory) {
+            const safePath = await fileService.resolveSafePath(directory);
+            await fileService.assertAccess(safePath, 'read');
+            prefix = fileService.toRelativePath(safePath);
+          }
+          const changes = await fileService.watchService.getChanges(cursor, { directory: prefix, limit });
+          
+          const notes = [];
+          if (changes.reset) notes.push('The cursor is from an earlier watcher (the base directory changed or the server restarted); changes are listed from the start of the current watch.');
+          if (changes.missed) notes.push('Some changes were dropped from the journal since this cursor.');
+          if (changes.hasMore) notes.push('More changes available: call get_changes again with the new cursor.');
+          
+          const lines = changes.events
+            .map(event => `${event.type} ${event.isDirectory ? '[DIR]' : '[FILE]'} ${event.oldPath ? `${event.oldPath} -> ` : ''}${event.path}`)
+            .join('\n');
+          const text = `${changes.events.length > 0 ? `${changes.events.length} changes:\n${lines}` : 'No changes'}\n\nCursor: ${changes.cursor}${notes.length > 0 ? `\n\n${notes.join('\n')}` : ''}`;
+          
+          return this.structuredResult(text, changes);
+        } catch (error) {
+          this.logger(`Error in get_changes: ${error.message}`);
+          return this.errorResult("Error getting changes", error);
+        }
+      }
+    );
+  }
+  
+  /**
+   * Render tree nodes as indented text
+   * @param {Array} nodes - Child nodes from FileService.getDirectoryTree
+   * @param {string} prefix - Indentation carried down from parent levels
+   * @returns {string} - The rendered lines
+   */
+  formatTree(nodes, prefix) {
+    return nodes.map((node, index) => {
+      const isLast = index === nodes.length - 1;
+      const modified = node.modified.substring(0, 10);
+      const label = node.type === 'directory'
+        ? `${node.name}/ (${modified})`
+        : `${node.name} (${node.size} bytes, ${modified})`;
+      const line = `${prefix}${isLast ? '└── ' : '├── '}${label}\n`;
+      
+      if (!node.children || node.children.length === 0) {
+        return line;
+      }
+      return line + this.formatTree(node.children, prefix + (isLast ? '    ' : '│   '));
+    }).join('');
   }
   
   /**
@@ -211,19 +750,26 @@ export class ToolService {
    */
   registerGitTools() {
     // Register git_command tool
-    this.server.tool(
+    this.registerTool(
       "git_command",
       "Execute a git command in the base directory",
       {
-        command: z.string().min(1).describe("Git command to execute (without the 'git' prefix)"),
-        shell: z.enum(['cmd', 'powershell', 'bash']).optional().describe("Shell to use for execution (defaults to system default)"),
+        command: z.string().min(1).describe("Git command to execute (without the 'git' prefix). Quote arguments containing spaces; shell operators are not supported"),
+        shell: z.enum(['cmd', 'powershell', 'bash']).optional().describe("Compatibility only: run git through this shell. By default git runs directly, without a shell"),
+        confirm: z.boolean().optional().describe("Required for destructive commands such as reset --hard, force push, branch deletion or clean -f"),
+        timeoutSeconds: z.number().int().min(1).max(3600).optional().describe("Kill the command after this many seconds (defaults to the server's GIT_TIMEOUT_MS)"),
+        root: rootParam
       },
-      async ({ command, shell }) => {
-        this.logger(`git_command called with: ${JSON.stringify({ command, shell })}`);
+      async ({ command, shell, confirm, timeoutSeconds, root }, { signal }) => {
+        this.logger(`git_command called with: ${JSON.stringify({ command, shell, confirm, timeoutSeconds, root })}`);
         
         try {
           // Execute the git command
-          const { stdout, stderr } = await this.gitService.executeGitCommand(command, shell);
+          const gitService = this.workspaceService.getGitService(root).withSignal(signal);
+          const { operation, paths } = await gitService.getCommandPaths(command);
+          await this.resolveGitPaths(root, paths, operation, { recursive: operation === 'write' });
+          const timeoutMs = timeoutSeconds ? timeoutSeconds * 1000 : undefined;
+          const { stdout, stderr, truncated } = await gitService.executeGitCommand(command, shell, { confirm, timeoutMs });
           
           // Format the response
           let response;
@@ -238,6 +784,10 @@ export class ToolService {
             response += `Output:\n${stdout}\n`;
           }
           
+          if (truncated) {
+            response += `[Output truncated at ${gitService.maxOutputBytes} bytes; the command was stopped]\n`;
+          }
+          
           if (stderr) {
             response += `Errors/Warnings:\n${stderr}\n`;
           }
@@ -247,11 +797,540 @@ export class ToolService {
           };
         } catch (error) {
           this.logger(`Error in git_command: ${error.message}`);
+          return this.errorResult("Error executing git command", error);
+        }
+      }
+    );
+    
+    // Register git_status tool
+    this.registerTool(
+      "git_status",
+      "Show the branch and the staged, unstaged, untracked and conflicted files. Returns readable text followed by a JSON block",
+      {
+        root: rootParam
+      },
+      async ({ root }, { signal }) => {
+        this.logger(`git_status called with: ${JSON.stringify({ root })}`);
+        
+        try {
+          const status = await this.workspaceService.getGitService(root).withSignal(signal).getStatus();
+          const fileService = this.workspaceService.getFileService(root);
+          const readable = entry => fileService.isReadable(path.join(fileService.getBaseDirectory(), entry.path || entry));
+          status.staged = status.staged.filter(readable);
+          status.unstaged = status.unstaged.filter(readable);
+          status.untracked = status.untracked.filter(readable);
+          status.conflicted = status.conflicted.filter(readable);
+          
+          return this.structuredResult(this.formatStatus(status), status);
+        } catch (error) {
+          this.logger(`Error in git_status: ${error.message}`);
+          return this.errorResult("Error getting git status", error);
+        }
+      }
+    );
+    
+    // Register git_diff tool
+    this.registerTool(
+      "git_diff",
+      "Show changes split into files and hunks: unstaged changes by default, staged changes, or changes between revisions. Returns readable text followed by a JSON block",
+      {
+        staged: z.boolean().optional().describe("Show staged changes (index against HEAD, or against `from`)"),
+        from: z.string().optional().describe("Revision to diff from, e.g. 'main' or 'HEAD~3'"),
+        to: z.string().optional().describe("Revision to diff to (defaults to the working tree, or the index with `staged`)"),
+        paths: z.array(z.string()).optional().describe("Only show changes to these paths"),
+        contextLines: z.number().int().min(0).max(100).optional().describe("Lines of context around each change (default 3)"),
+        root: rootParam
+      },
+      async ({ staged, from, to, paths, contextLines, root }, { signal }) => {
+        this.logger(`git_diff called with: ${JSON.stringify({ staged, from, to, paths, contextLines, root })}`);
+        
+        try {
+          const pathspecs = await this.resolveGitPaths(root, paths);
+          const { files, truncated } = await this.workspaceService.getGitService(root).withSignal(signal).getDiff({ staged, from, to, paths: pathspecs, contextLines });
+          const fileService = this.workspaceService.getFileService(root);
+          const visible = files.filter(file => fileService.isReadable(path.join(fileService.getBaseDirectory(), file.path)));
+          
+          return this.structuredResult(this.formatDiff(visible, truncated), { files: visible, truncated });
+        } catch (error) {
+          this.logger(`Error in git_diff: ${error.message}`);
+          return this.errorResult("Error getting git diff", error);
+        }
+      }
+    );
+    
+    // Register git_log tool
+    this.registerTool(
+      "git_log",
+      "List commits with author, date, message and changed files, a page at a time. Returns readable text followed by a JSON block",
+      {
+        ref: z.string().optional().describe("Revision or range to list, e.g. 'main' or 'v1.0..HEAD' (defaults to HEAD)"),
+        paths: z.array(z.string()).optional().describe("Only commits touching these paths"),
+        author: z.string().optional().describe("Only commits whose author matches this pattern"),
+        since: z.string().optional().describe("Only commits after this date, e.g. '2024-01-01' or '2 weeks ago'"),
+        until: z.string().optional().describe("Only commits before this date"),
+        grep: z.string().optional().describe("Only commits whose message matches this pattern"),
+        skip: z.number().int().min(0).optional().describe("Number of commits to skip, from a previous page's nextSkip"),
+        limit: z.number().int().min(1).max(200).optional().describe("Maximum number of commits to return (default 20)"),
+        root: rootParam
+      },
+      async ({ ref, paths, author, since, until, grep, skip, limit, root }, { signal }) => {
+        this.logger(`git_log called with: ${JSON.stringify({ ref, paths, author, since, until, grep, skip, limit, root })}`);
+        
+        try {
+          const pathspecs = await this.resolveGitPaths(root, paths);
+          const page = await this.workspaceService.getGitService(root).withSignal(signal).getLog({ ref, paths: pathspecs, author, since, until, grep, skip, limit });
+          const fileService = this.workspaceService.getFileService(root);
+          for (const commit of page.commits) {
+            commit.files = commit.files.filter(file => fileService.isReadable(path.join(fileService.getBaseDirectory(), file.path)));
+          }
+          
+          return this.structuredResult(this.formatLog(page), page);
+        } catch (error) {
+          this.logger(`Error in git_log: ${error.message}`);
+          return this.errorResult("Error getting git log", error);
+        }
+      }
+    );
+    
+    // Register git_blame tool
+    this.registerTool(
+      "git_blame",
+      "Show the commit and author that last changed each line of a file, optionally for a line range. Returns readable text followed by a JSON block",
+      {
+        path: z.string().describe("Path to the file"),
+        startLine: z.number().int().min(1).optional().describe("First line to blame (1-based)"),
+        endLine: z.number().int().min(1).optional().describe("Last line to blame"),
+        ref: z.string().optional().describe("Revision to blame at (defaults to the working tree)"),
+        root: rootParam
+      },
+      async ({ path: filePath, startLine, endLine, ref, root }, { signal }) => {
+        this.logger(`git_blame called with: ${JSON.stringify({ filePath, startLine, endLine, ref, root })}`);
+        
+        try {
+          const [pathspec] = await this.resolveGitPaths(root, [filePath]);
+          const blame = await this.workspaceService.getGitService(root).withSignal(signal).getBlame(pathspec, { startLine, endLine, ref });
+          
+          const text = blame.lines
+            .map(line => `${line.commit.substring(0, 8)} (${line.author} ${(line.date || '').substring(0, 10)}) ${line.line}: ${line.content}`)
+            .join('\n');
+          
+          const notice = blame.truncated ? `\n\n[Blame truncated: output passed the size limit after ${blame.lines.length} lines]` : '';
+          return this.structuredResult(`Blame for ${blame.path}:\n\n${text}${notice}`, blame);
+        } catch (error) {
+          this.logger(`Error in git_blame: ${error.message}`);
+          return this.errorResult("Error getting git blame", error);
+        }
+      }
+    );
+    
+    // Register read_file_at_revision tool
+    this.registerTool(
+      "read_file_at_revision",
+      "Read a file as it was at a git revision, such as a commit, branch or tag",
+      {
+        path: z.string().describe("Path to the file"),
+        revision: z.string().describe("Revision to read the file at, e.g. 'HEAD~1', 'main' or 'v1.0'"),
+        root: rootParam
+      },
+      async ({ path: filePath, revision, root }, { signal }) => {
+        this.logger(`read_file_at_revision called with: ${JSON.stringify({ filePath, revision, root })}`);
+        
+        try {
+          const [pathspec] = await this.resolveGitPaths(root, [filePath]);
+          const { content, size, truncated } = await this.workspaceService.getGitService(root).withSignal(signal).readFileAtRevision(revision, pathspec);
+          const { mimeService } = this.workspaceService.getFileService(root);
+          const header = `File: ${pathspec} at ${revision}\n${truncated ? `Truncated: only the first ${size} bytes are shown\n` : `Size: ${size} bytes\n`}`;
+          
+          if (!mimeService.looksLikeText(content)) {
+            return {
+              content: [{ type: "text", text: `${header}Binary file, content not shown.\n\nHex preview:\n${mimeService.hexPreview(content)}` }]
+            };
+          }
+          
           return {
-            content: [{ type: "text", text: `Error executing git command: ${error.message}` }]
+            content: [{ type: "text", text: `${header}\n${content.toString('utf8')}` }]
           };
+        } catch (error) {
+          this.logger(`Error in read_file_at_revision: ${error.message}`);
+          return this.errorResult("Error reading file at revision", error);
+        }
+      }
+    );
+    
+    // Register compare_revisions tool
+    this.registerTool(
+      "compare_revisions",
+      "Compare a file, a directory or the whole tree between two git revisions. Returns readable text followed by a JSON block",
+      {
+        from: z.string().describe("Revision to compare from, e.g. 'v1.0' or 'HEAD~3'"),
+        to: z.string().optional().describe("Revision to compare to (defaults to the working tree)"),
+        path: z.string().optional().describe("File or directory to compare (defaults to everything under the base directory)"),
+        contextLines: z.number().int().min(0).max(100).optional().describe("Lines of context around each change (default 3)"),
+        root: rootParam
+      },
+      async ({ from, to, path: comparePath, contextLines, root }, { signal }) => {
+        this.logger(`compare_revisions called with: ${JSON.stringify({ from, to, comparePath, contextLines, root })}`);
+        
+        try {
+          const pathspecs = await this.resolveGitPaths(root, comparePath ? [comparePath] : []);
+          const { files, truncated } = await this.workspaceService.getGitService(root).withSignal(signal).getDiff({ from, to, paths: pathspecs, contextLines });
+          const fileService = this.workspaceService.getFileService(root);
+          const visible = files.filter(file => fileService.isReadable(path.join(fileService.getBaseDirectory(), file.path)));
+          
+          return this.structuredResult(this.formatDiff(visible, truncated), { from, to: to || null, files: visible, truncated });
+        } catch (error) {
+          this.logger(`Error in compare_revisions: ${error.message}`);
+          return this.errorResult("Error comparing revisions", error);
+        }
+      }
+    );
+  }
+  
+  /**
+   * Register git tools that change the repository
+   */
+  registerGitWriteTools() {
+    // Register git_add tool
+    this.registerTool(
+      "git_add",
+      "Stage changes for the next commit",
+      {
+        paths: z.array(z.string()).optional().describe("Paths to stage"),
+        all: z.boolean().optional().describe("Stage every change, including untracked and deleted files"),
+        root: rootParam
+      },
+      async ({ paths, all, root }, { signal }) => {
+        this.logger(`git_add called with: ${JSON.stringify({ paths, all, root })}`);
+        
+        try {
+          const gitService = this.workspaceService.getGitService(root).withSignal(signal);
+          const pathspecs = await this.resolveGitPaths(root, paths, 'write');
+          if (all || pathspecs.length > 0) {
+            await this.assertGitPathsWritable(root, await gitService.getAddPaths(pathspecs.length > 0 ? pathspecs : ['.']));
+          }
+          await gitService.add(pathspecs, { all });
+          const status = await gitService.getStatus();
+          
+          return this.structuredResult(this.formatStatus(status), status);
+        } catch (error) {
+          this.logger(`Error in git_add: ${error.message}`);
+          return this.errorResult("Error staging changes", error);
         }
       }
     );
+    
+    // Register git_commit tool
+    this.registerTool(
+      "git_commit",
+      "Commit the staged changes. The message is passed as data, so it needs no quoting",
+      {
+        message: z.string().min(1).describe("The commit message; the first line is the subject"),
+        author: z.string().optional().describe("Author as \"Name <email>\" (defaults to the configured git user)"),
+        signoff: z.boolean().optional().describe("Add a Signed-off-by trailer"),
+        allowEmpty: z.boolean().optional().describe("Allow a commit with no changes"),
+        root: rootParam
+      },
+      async ({ message, author, signoff, allowEmpty, root }, { signal }) => {
+        this.logger(`git_commit called with: ${JSON.stringify({ author, signoff, allowEmpty, root })}`);
+        
+        try {
+          const result = await this.workspaceService.getGitService(root).withSignal(signal).commit(message, { author, signoff, allowEmpty });
+          
+          return this.structuredResult(`Committed ${result.hash.substring(0, 8)}\n\n${result.summary}`, result);
+        } catch (error) {
+          this.logger(`Error in git_commit: ${error.message}`);
+          return this.errorResult("Error committing", error);
+        }
+      }
+    );
+    
+    // Register git_branch tool
+    this.registerTool(
+      "git_branch",
+      "List, create, switch to or delete local branches. Deleting needs confirm: true",
+      {
+        action: z.enum(['list', 'create', 'switch', 'delete']).describe("What to do"),
+        name: z.string().optional().describe("Branch name (required except for list)"),
+        startPoint: z.string().optional().describe("Revision to create the branch from (defaults to HEAD)"),
+        checkout: z.boolean().optional().describe("Switch to the branch after creating it"),
+        force: z.boolean().optional().describe("Delete the branch even if it is not merged"),
+        confirm: z.boolean().optional().describe("Required to delete a branch"),
+        root: rootParam
+      },
+      async ({ action, name, startPoint, checkout, force, confirm, root }, { signal }) => {
+        this.logger(`git_branch called with: ${JSON.stringify({ action, name, startPoint, checkout, force, confirm, root })}`);
+        
+        try {
+          const gitService = this.workspaceService.getGitService(root).withSignal(signal);
+          if (action !== 'list' && !name) {
+            throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `A branch name is required to ${action} a branch`);
+          }
+          
+          let message = null;
+          if (action === 'create') {
+            if (checkout && startPoint) {
+              await this.assertGitPathsWritable(root, await gitService.getChangedPaths('HEAD', startPoint));
+            }
+            await gitService.createBranch(name, { startPoint, checkout });
+            message = `Created branch ${name}${checkout ? ' and switched to it' : ''}`;
+          } else if (action === 'switch') {
+            await this.assertGitPathsWritable(root, await gitService.getChangedPaths('HEAD', name));
+            await gitService.switchBranch(name);
+            message = `Switched to branch ${name}`;
+          } else if (action === 'delete') {
+            await gitService.deleteBranch(name, { force, confirm });
+            message = `Deleted branch ${name}`;
+          }
+          
+          const branches = await gitService.listBranches();
+          const list = branches
+            .map(branch => `${branch.current ? '*' : ' '} ${branch.name} ${branch.commit}${branch.upstream ? ` [${branch.upstream}]` : ''} ${branch.subject}`)
+            .join('\n');
+          
+          return this.structuredResult(`${message ? `${message}\n\n` : ''}Branches:\n${list}`, { branches });
+        } catch (error) {
+          this.logger(`Error in git_branch: ${error.message}`);
+          return this.errorResult("Error in git_branch", error);
+        }
+      }
+    );
+    
+    // Register git_stash tool
+    this.registerTool(
+      "git_stash",
+      "Stash uncommitted changes, list stashes, or apply, pop, drop or clear them. Dropping and clearing need confirm: true",
+      {
+        action: z.enum(['push', 'list', 'apply', 'pop', 'drop', 'clear']).describe("What to do"),
+        message: z.string().optional().describe("Description for a new stash"),
+        includeUntracked: z.boolean().optional().describe("Also stash untracked files"),
+        index: z.number().int().min(0).optional().describe("Stash to apply, pop or drop (0 is the most recent, the default)"),
+        confirm: z.boolean().optional().describe("Required to drop or clear stashes"),
+        root: rootParam
+      },
+      async ({ action, message, includeUntracked, index, confirm, root }, { signal }) => {
+        this.logger(`git_stash called with: ${JSON.stringify({ action, message, includeUntracked, index, confirm, root })}`);
+        
+        try {
+          const gitService = this.workspaceService.getGitService(root).withSignal(signal);
+          
+          if (action === 'push') {
+            await this.assertGitPathsWritable(root, await gitService.getStatusPaths({ includeUntracked }));
+          } else if (action === 'apply' || action === 'pop') {
+            await this.assertGitPathsWritable(root, await gitService.getStashPaths(index));
+          }
+          
+          let output = '';
+          if (action === 'push') output = await gitService.stashPush({ message, includeUntracked });
+          if (action === 'apply') output = await gitService.applyStash(index);
+          if (action === 'pop') output = await gitService.applyStash(index, { pop: true });
+          if (action === 'drop') output = await gitService.dropStash(index, { confirm });
+          if (action === 'clear') {
+            await gitService.clearStashes({ confirm });
+            output = 'Cleared all stashes';
+          }
+          
+          const stashes = await gitService.listStashes();
+          const list = stashes.length > 0
+            ? stashes.map(stash => `${stash.ref} ${stash.commit} ${stash.message}`).join('\n')
+            : '(no stashes)';
+          
+          return this.structuredResult(`${output ? `${output}\n\n` : ''}Stashes:\n${list}`, { stashes });
+        } catch (error) {
+          this.logger(`Error in git_stash: ${error.message}`);
+          return this.errorResult("Error in git_stash", error);
+        }
+      }
+    );
+    
+    // Register git_restore tool
+    this.registerTool(
+      "git_restore",
+      "Unstage files, or discard their working tree changes. Discarding working tree changes needs confirm: true",
+      {
+        paths: z.array(z.string()).min(1).describe("Paths to restore"),
+        staged: z.boolean().optional().describe("Unstage the paths (restore the index from HEAD)"),
+        worktree: z.boolean().optional().describe("Restore the working tree, discarding uncommitted changes (the default unless staged is set)"),
+        source: z.string().optional().describe("Revision to restore from"),
+        confirm: z.boolean().optional().describe("Required when the working tree is restored"),
+        root: rootParam
+      },
+      async ({ paths, staged, worktree, source, confirm, root }, { signal }) => {
+        this.logger(`git_restore called with: ${JSON.stringify({ paths, staged, worktree, source, confirm, root })}`);
+        
+        try {
+          const gitService = this.workspaceService.getGitService(root).withSignal(signal);
+          const pathspecs = await this.resolveGitPaths(root, paths, 'write');
+          await this.assertGitPathsWritable(root, await gitService.getRestorePaths(pathspecs, { staged, worktree, source }));
+          await gitService.restore(pathspecs, { staged, worktree, source, confirm });
+          const status = await gitService.getStatus();
+          
+          return this.structuredResult(this.formatStatus(status), status);
+        } catch (error) {
+          this.logger(`Error in git_restore: ${error.message}`);
+          return this.errorResult("Error restoring files", error);
+        }
+      }
+    );
+  }
+  
+  /**
+   * Build a tool result holding readable text and the same data as a JSON block
+   * @param {string} text - The readable summary
+   * @param {Object} data - The structured result
+   * @returns {Object} - The tool result
+   */
+  structuredResult(text, data) {
+    return {
+      content: [
+        { type: "text", text },
+        { type: "text", text: JSON.stringify(data, null, 2) }
+      ]
+    };
+  }
+  
+  /**
+   * Build a failed tool result: the message as text, then the error code and details as a JSON block
+   * @param {string} prefix - What was being done, such as 'Error reading file'
+   * @param {Error} error - The caught error
+   * @returns {Object} - The tool result, flagged with isError
+   */
+  errorResult(prefix, error) {
+    const { code, message, details } = ServiceError.describe(error);
+    return {
+      isError: true,
+      content: [
+        { type: "text", text: `${prefix}: ${message}` },
+        { type: "text", text: JSON.stringify({ error: { code, message, details } }, null, 2) }
+      ]
+    };
+  }
+  
+  /**
+   * Validate paths for the git tools and make them relative to the base directory,
+   * applying the same containment and path rules as the file tools
+   * @param {string} root - The workspace root name
+   * @param {string[]} paths - The requested paths
+   * @param {string} operation - 'read', or 'write' for tools that change the files
+   * @param {Object} options - Check options
+   * @param {boolean} options.recursive - Also check everything below a directory
+   * @returns {Promise<string[]>} - Pathspecs relative to the base directory
+   */
+  async resolveGitPaths(root, paths = [], operation = 'read', { recursive = false } = {}) {
+    const fileService = this.workspaceService.getFileService(root);
+    const pathspecs = [];
+    for (const requestedPath of paths) {
+      const safePath = await fileService.resolveSafePath(requestedPath);
+      // Git never writes its own directory through a pathspec, so only the files below a path are checked
+      await fileService.assertAccess(safePath, operation, { recursive, exclude: ['**/.git/**'] });
+      pathspecs.push(fileService.toRelativePath(safePath) || '.');
+    }
+    return pathspecs;
+  }
+  
+  /**
+   * Fail if the path rules forbid writing any of the files a git operation would change.
+   * Files outside the base directory are not covered by the root's rules and are left to git.
+   * @param {string} root - The workspace root name
+   * @param {string[]} paths - Paths relative to the base directory, as listed by GitService
+   * @returns {Promise<void>}
+   */
+  async assertGitPathsWritable(root, paths) {
+    const fileService = this.workspaceService.getFileService(root);
+    for (const relativePath of paths) {
+      if (relativePath === '..' || relativePath.startsWith('../')) continue;
+      await fileService.assertAccess(path.join(fileService.getBaseDirectory(), relativePath), 'write');
+    }
+  }
+  
+  /**
+   * List a directory as it was at a git revision, hiding entries the path rules make unreadable
+   * @param {string} root - The workspace root name
+   * @param {string} directory - The directory to list (defaults to the base directory)
+   * @param {string} ref - The revision
+   * @param {AbortSignal} signal - Cancels the git command
+   * @returns {Promise<Array<{name: string, isDirectory: boolean}>>} - The entries
+   */
+  async listFilesAtRevision(root, directory, ref, signal) {
+    const [pathspec] = await this.resolveGitPaths(root, [directory || '.']);
+    const entries = await this.workspaceService.getGitService(root).withSignal(signal).listTree(ref, pathspec);
+    const fileService = this.workspaceService.getFileService(root);
+    return entries.filter(entry => fileService.isReadable(path.join(fileService.getBaseDirectory(), pathspec, entry.name)));
+  }
+  
+  /**
+   * Render parsed diff files as a summary followed by their hunks
+   * @param {Array} files - Files from GitService.getDiff
+   * @param {boolean} truncated - Whether the diff output was cut short
+   * @returns {string} - The readable diff
+   */
+  formatDiff(files, truncated = false) {
+    if (files.length === 0) {
+      return 'No changes';
+    }
+    
+    const summary = files
+      .map(file => `${file.status} ${file.oldPath ? `${file.oldPath} -> ` : ''}${file.path}${file.binary ? ' (binary)' : ` (+${file.additions} -${file.deletions})`}`)
+      .join('\n');
+    const hunks = files
+      .filter(file => file.hunks.length > 0)
+      .map(file => `--- ${file.path}\n${file.hunks.map(hunk => `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@ ${hunk.heading}\n${hunk.lines.join('\n')}`).join('\n')}`)
+      .join('\n\n');
+    
+    const notice = truncated ? '\n\n[Diff truncated: output passed the size limit, so the last file may be incomplete and later files are missing]' : '';
+    return `${files.length} files changed:\n${summary}\n\n${hunks}${notice}`;
+  }
+  
+  /**
+   * Render a parsed git status as text
+   * @param {Object} status - The result of GitService.getStatus
+   * @returns {string} - The readable status
+   */
+  formatStatus(status) {
+    const { branch } = status;
+    const lines = [branch.detached ? `HEAD detached at ${(branch.oid || '').substring(0, 8)}` : `On branch ${branch.head}`];
+    if (branch.upstream) {
+      lines.push(`Tracking ${branch.upstream} (ahead ${branch.ahead}, behind ${branch.behind})`);
+    }
+    
+    const section = (title, entries) => {
+      if (entries.length === 0) return;
+      lines.push('', `${title}:`);
+      for (const entry of entries) {
+        lines.push(typeof entry === 'string'
+          ? `  ${entry}`
+          : `  ${entry.status}: ${entry.origPath ? `${entry.origPath} -> ` : ''}${entry.path}`);
+      }
+    };
+    section('Staged', status.staged);
+    section('Unstaged', status.unstaged);
+    section('Untracked', status.untracked);
+    section('Conflicted', status.conflicted);
+    
+    if (status.truncated) {
+      lines.push('', '[Status truncated: output passed the size limit, so later files are missing]');
+    } else if ([status.staged, status.unstaged, status.untracked, status.conflicted].every(entries => entries.length === 0)) {
+      lines.push('', 'Working tree clean');
+    }
+    return lines.join('\n');
+  }
+  
+  /**
+   * Render a page of commits as text
+   * @param {Object} page - The result of GitService.getLog
+   * @returns {string} - The readable log
+   */
+  formatLog(page) {
+    if (page.commits.length === 0) {
+      return 'No commits found';
+    }
+    
+    const commits = page.commits.map(commit => {
+      const files = commit.files.map(file => `    ${file.status}: ${file.path}`).join('\n');
+      return `${commit.shortHash} ${commit.date} ${commit.author} <${commit.authorEmail}>\n    ${commit.subject}${files ? `\n${files}` : ''}`;
+    }).join('\n\n');
+    
+    const notice = page.truncated ? '\n\n[Page cut short: output passed the size limit]' : '';
+    const more = page.hasMore ? `\n\nMore commits available: pass skip: ${page.nextSkip}` : '';
+    return `${commits}${notice}${more}`;
   }
-}
\ No newline at end of file
+}
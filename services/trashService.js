@@ -0,0 +1,156 @@
+// services/trashService.js
+import * as fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+const METADATA_FILE = 'meta.json';
+const ITEM_NAME = 'item';
+
+/**
+ * Service that stores deleted files so they can be restored.
+ * Each trashed item lives in its own directory under the trash root,
+ * next to a metadata file describing where it came from.
+ */
+export class TrashService {
+  /**
+   * Create a new trash service
+   * @param {string} trashDirectory - Directory holding trashed items
+   * @param {function} logger - The logger function
+   * @param {Object} options - Trash options
+   * @param {number} options.retentionDays - Days to keep items before they are purged (0 keeps them forever)
+   */
+  constructor(trashDirectory, logger, { retentionDays = 30 } = {}) {
+    this.trashDirectory = trashDirectory;
+    this.logger = logger;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Get the path of a trashed item's content
+   * @param {string} id - The trash entry ID
+   * @returns {string} - The absolute path of the stored item
+   */
+  itemPath(id) {
+    return path.join(this.entryPath(id), ITEM_NAME);
+  }
+
+  /**
+   * Get the directory of a trash entry, rejecting malformed IDs
+   * @param {string} id - The trash entry ID
+   * @returns {string} - The absolute entry directory
+   */
+  entryPath(id) {
+    if (!/^[0-9a-z-]+$/i.test(id)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Invalid trash ID: ${id}`);
+    }
+    return path.join(this.trashDirectory, id);
+  }
+
+  /**
+   * Reserve a new trash entry
+   * @returns {Promise<{id: string, itemPath: string}>} - The entry ID and where to move the item
+   */
+  async prepare() {
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(this.entryPath(id), { recursive: true });
+    return { id, itemPath: this.itemPath(id) };
+  }
+
+  /**
+   * Record metadata for a trashed item
+   * @param {string} id - The trash entry ID
+   * @param {Object} metadata - Original path, base directory, size and type of the item
+   * @returns {Promise<Object>} - The stored metadata
+   */
+  async commit(id, metadata) {
+    const entry = { id, deletedAt: new Date().toISOString(), ...metadata };
+    await fs.writeFile(path.join(this.entryPath(id), METADATA_FILE), JSON.stringify(entry, null, 2), 'utf8');
+    this.logger(`Moved to trash: ${entry.originalPath} (id: ${id})`);
+    return entry;
+  }
+
+  /**
+   * Get the metadata of a trash entry
+   * @param {string} id - The trash entry ID
+   * @returns {Promise<Object>} - The entry metadata
+   */
+  async get(id) {
+    try {
+      const content = await fs.readFile(path.join(this.entryPath(id), METADATA_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ServiceError(ErrorCode.NOT_FOUND, `No trash entry with ID: ${id}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List trash entries, newest first
+   * @returns {Promise<Array>} - The entry metadata
+   */
+  async list() {
+    let ids;
+    try {
+      ids = await fs.readdir(this.trashDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const id of ids) {
+      try {
+        entries.push(await this.get(id));
+      } catch (error) {
+        // Entries without metadata are leftovers from an interrupted delete
+        this.logger(`Skipping incomplete trash entry ${id}: ${error.message}`);
+      }
+    }
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Permanently remove a trash entry
+   * @param {string} id - The trash entry ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await fs.rm(this.entryPath(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Permanently remove trash entries
+   * @param {Object} options - Which entries to remove
+   * @param {string[]} options.ids - Only remove these entries
+   * @param {number} options.olderThanDays - Only remove entries deleted more than this many days ago
+   * @returns {Promise<Array>} - Metadata of the removed entries
+   */
+  async empty({ ids, olderThanDays } = {}) {
+    const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+
+    const removed = [];
+    for (const entry of await this.list()) {
+      if (ids && !ids.includes(entry.id)) continue;
+      if (cutoff !== null && Date.parse(entry.deletedAt) > cutoff) continue;
+
+      await this.remove(entry.id);
+      removed.push(entry);
+    }
+
+    this.logger(`Emptied ${removed.length} trash entries`);
+    return removed;
+  }
+
+  /**
+   * Remove entries older than the retention period
+   * @returns {Promise<number>} - Number of entries purged
+   */
+  async purgeExpired() {
+    if (!this.retentionDays) return 0;
+    const removed = await this.empty({ olderThanDays: this.retentionDays });
+    return removed.length;
+  }
+}
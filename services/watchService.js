@@ -0,0 +1,449 @@
+// services/watchService.js
+import * as fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+// Events kept in the journal; older events are dropped and reported as missed
+const DEFAULT_MAX_EVENTS = 1000;
+
+// Quiet period before a burst of file system notifications is turned into events,
+// and the longest a busy tree can hold them back
+const DEFAULT_DEBOUNCE_MS = 200;
+const MAX_DEBOUNCE_DELAY_MS = 2000;
+
+// Directories never watched for changes, matching the defaults of the file walks
+const WATCH_EXCLUDES = ['**/.git/**', '**/node_modules/**'];
+
+// Linux has no native recursive watching: Node.js would add an inotify watch for every directory, including
+// excluded ones, so each directory that is not excluded is watched on its own instead
+const WATCH_EACH_DIRECTORY = process.platform === 'linux';
+
+// Errors meaning the system ran out of watches or file descriptors
+const WATCH_LIMIT_ERRORS = ['ENOSPC', 'EMFILE'];
+
+/**
+ * Service that watches a file service's base directory and keeps a bounded journal of
+ * created, modified, deleted and renamed paths, read back with a cursor
+ */
+export class WatchService {
+  /**
+   * Create a new watch service
+   * @param {FileService} fileService - The file service whose base directory is watched
+   * @param {function} logger - The logger function
+   * @param {Object} options - Watch options
+   * @param {number} options.maxEvents - Events kept in the journal
+   * @param {number} options.debounceMs - Quiet period before changes are recorded
+   */
+  constructor(fileService, logger, { maxEvents = DEFAULT_MAX_EVENTS, debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+    this.fileService = fileService;
+    this.logger = logger;
+    this.maxEvents = maxEvents;
+    this.debounceMs = debounceMs;
+    this.watchers = null;
+    this.starting = null;
+    this.generation = 0;
+  }
+
+  /**
+   * Check whether the base directory is being watched
+   * @returns {boolean} - Whether the watcher is running
+   */
+  isWatching() {
+    return this.watchers !== null;
+  }
+
+  /**
+   * Start watching the base directory, if not already watching
+   * @returns {Promise<string>} - A cursor for the current end of the journal
+   */
+  async start() {
+    if (!this.watchers) {
+      this.starting ??= this.startWatcher().finally(() => {
+        this.starting = null;
+      });
+      await this.starting;
+    }
+    if (!this.watchers) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, `Could not watch ${this.fileService.getBaseDirectory()}: the base directory changed or watching was stopped while starting`);
+    }
+    return this.currentCursor();
+  }
+
+  /**
+   * Snapshot the tree and open the watchers: one recursive watcher, or on Linux one per directory
+   * @returns {Promise<void>}
+   */
+  async startWatcher() {
+    const baseDirectory = this.fileService.getBaseDirectory();
+    const generation = this.generation;
+    const snapshot = new Map();
+    for await (const { absolutePath, relativePath } of this.fileService.walk(baseDirectory, { exclude: WATCH_EXCLUDES, gitignore: true })) {
+      const entry = await this.statEntry(absolutePath);
+      if (entry) snapshot.set(relativePath, entry);
+    }
+
+    // The base directory changed, or stop() was called, while the tree was being read
+    if (this.generation !== generation || this.fileService.getBaseDirectory() !== baseDirectory) return;
+
+    this.baseDirectory = baseDirectory;
+    this.snapshot = snapshot;
+    this.id = crypto.randomBytes(4).toString('hex');
+    this.events = [];
+    this.nextSequence = 1;
+    this.pending = new Set();
+    this.pendingSince = null;
+    this.timer = null;
+    this.flushing = Promise.resolve();
+
+    this.watchers = new Map();
+
+    try {
+      if (WATCH_EACH_DIRECTORY) {
+        this.watchDirectory('');
+        for (const [relativePath, entry] of snapshot) {
+          if (entry.isDirectory) this.watchDirectory(relativePath);
+        }
+      } else {
+        this.watchDirectory('', { recursive: true });
+      }
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+    this.logger(`Watching ${baseDirectory} for changes (${snapshot.size} entries, ${this.watchers.size} watchers)`);
+  }
+
+  /**
+   * Watch one directory, or with `recursive` the whole tree below it
+   * @param {string} relativePath - The base-relative directory ('' for the base directory)
+   * @param {Object} options - Watch options
+   * @param {boolean} options.recursive - Also report changes in subdirectories
+   */
+  watchDirectory(relativePath, { recursive = false } = {}) {
+    let watcher;
+    try {
+      watcher = fs.watch(path.join(this.baseDirectory, relativePath), { recursive, persistent: false }, (eventType, fileName) => {
+        this.queue(fileName ? path.posix.join(relativePath, fileName.toString().split(path.sep).join('/')) : null);
+      });
+    } catch (error) {
+      // A directory removed before its watcher was added is picked up from the parent's events
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw this.describeWatchError(error);
+    }
+    watcher.on('error', error => {
+      this.logger(`Error watching ${this.baseDirectory}: ${this.describeWatchError(error).message}`);
+      this.stop();
+    });
+    this.watchers.set(relativePath, watcher);
+  }
+
+  /**
+   * Explain a watch failure
+   * @param {Error} error - The error from fs.watch
+   * @returns {Error} - An UNAVAILABLE ServiceError for known causes, otherwise the error itself
+   */
+  describeWatchError(error) {
+    // Recursive watching needs Node.js 20 or later on Linux
+    if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      return new ServiceError(ErrorCode.UNAVAILABLE, `Recursive watching is not available on ${process.platform} with Node.js ${process.versions.node}; Node.js 20 or later is required`);
+    }
+    if (WATCH_LIMIT_ERRORS.includes(error.code)) {
+      const limit = process.platform === 'linux' ? ' (fs.inotify.max_user_watches)' : '';
+      return new ServiceError(ErrorCode.UNAVAILABLE, `Could not watch ${this.baseDirectory}: the system ran out of file watches (${error.code}). Watch a smaller root, add large directories to .gitignore, or raise the limit${limit}`);
+    }
+    return error;
+  }
+
+  /**
+   * On Linux, watch directories that appeared and stop watching ones that are gone
+   */
+  syncDirectoryWatchers() {
+    if (!WATCH_EACH_DIRECTORY || !this.watchers) return;
+    for (const [relativePath, watcher] of this.watchers) {
+      if (relativePath !== '' && !this.snapshot.get(relativePath)?.isDirectory) {
+        watcher.close();
+        this.watchers.delete(relativePath);
+      }
+    }
+    for (const [relativePath, entry] of this.snapshot) {
+      if (entry.isDirectory && !this.watchers.has(relativePath)) {
+        this.watchDirectory(relativePath);
+      }
+    }
+  }
+
+  /**
+   * Stop watching and discard the journal, for example when the base directory changes
+   */
+  stop() {
+    this.generation++;
+    if (!this.watchers) return;
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers = null;
+    this.snapshot = null;
+    this.pending = null;
+    this.logger(`Stopped watching ${this.baseDirectory}`);
+  }
+
+  /**
+   * Build a cursor pointing after the newest event
+   * @returns {string} - The cursor
+   */
+  currentCursor() {
+    return `${this.id}:${this.nextSequence - 1}`;
+  }
+
+  /**
+   * Read a path's type and change markers
+   * @param {string} absolutePath - The absolute path
+   * @returns {Promise<{isDirectory: boolean, ino: number, size: number, mtimeMs: number}|null>} - The entry, or null if it is gone
+   */
+  async statEntry(absolutePath) {
+    try {
+      const stats = await fs.promises.lstat(absolutePath);
+      return { isDirectory: stats.isDirectory(), ino: stats.ino, size: stats.size, mtimeMs: stats.mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether changes to a path are left out of the journal
+   * @param {string} relativePath - The base-relative path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Promise<boolean>} - Whether the path is excluded, gitignored or unreadable
+   */
+  async isIgnored(relativePath, isDirectory) {
+    const absolutePath = path.join(this.baseDirectory, relativePath);
+    if (this.fileService.matchesAnyGlob(isDirectory ? `${relativePath}/` : relativePath, WATCH_EXCLUDES)) return true;
+    if (!this.fileService.isReadable(absolutePath)) return true;
+    const rules = await this.fileService.loadGitignoreChain(path.dirname(absolutePath));
+    return this.fileService.isGitignored(absolutePath, isDirectory, rules);
+  }
+
+  /**
+   * Note a changed path and schedule a flush once changes go quiet
+   * @param {string|null} relativePath - The changed path, or null when the platform did not say
+   */
+  queue(relativePath) {
+    if (!this.watchers) return;
+    this.pending.add(relativePath);
+    this.pendingSince ??= Date.now();
+
+    clearTimeout(this.timer);
+    const overdue = Date.now() - this.pendingSince >= MAX_DEBOUNCE_DELAY_MS;
+    this.timer = setTimeout(() => this.flushPending(), overdue ? 0 : this.debounceMs);
+  }
+
+  /**
+   * Record the queued paths now, after any recording already in progress
+   * @returns {Promise<void>} - Resolves once the journal is up to date
+   */
+  flushPending() {
+    clearTimeout(this.timer);
+    if (this.pending.size > 0) {
+      const paths = [...this.pending];
+      this.pending.clear();
+      this.pendingSince = null;
+      this.flushing = this.flushing
+        .then(() => this.record(paths))
+        .catch(error => this.logger(`Error recording changes: ${error.message}`));
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Compare changed paths with the snapshot and append the resulting events to the journal
+   * @param {Array<string|null>} paths - Paths reported by the watcher
+   * @returns {Promise<void>}
+   */
+  async record(paths) {
+    if (!this.watchers) return;
+
+    // Without a file name, compare the whole tree
+    const candidates = paths.includes(null) ? ['', ...this.snapshot.keys()] : paths;
+    const created = [];
+    const deleted = [];
+    const modified = [];
+
+    for (const relativePath of new Set(candidates)) {
+      if (relativePath === '') {
+        for (const child of await this.listChildren('')) {
+          if (!this.snapshot.has(child.relativePath)) created.push(child);
+        }
+        continue;
+      }
+
+      const before = this.snapshot.get(relativePath);
+      const now = await this.statEntry(path.join(this.baseDirectory, relativePath));
+      if (await this.isIgnored(relativePath, (now || before)?.isDirectory ?? false)) continue;
+
+      if (!before && now) {
+        created.push({ relativePath, entry: now });
+      } else if (before && !now) {
+        deleted.push({ relativePath, entry: before });
+      } else if (before && now) {
+        if (before.isDirectory !== now.isDirectory || before.ino !== now.ino) {
+          deleted.push({ relativePath, entry: before });
+          created.push({ relativePath, entry: now });
+        } else if (!now.isDirectory && (before.size !== now.size || before.mtimeMs !== now.mtimeMs)) {
+          modified.push({ relativePath, entry: now });
+        }
+      }
+    }
+
+    const events = [];
+
+    // A path that disappeared and one that appeared with the same inode is a rename
+    for (const gone of [...deleted]) {
+      const index = created.findIndex(item => item.entry.ino === gone.entry.ino && item.entry.isDirectory === gone.entry.isDirectory);
+      if (index === -1) continue;
+      const [moved] = created.splice(index, 1);
+      deleted.splice(deleted.indexOf(gone), 1);
+      this.moveInSnapshot(gone.relativePath, moved.relativePath, moved.entry);
+      events.push({ type: 'renamed', path: moved.relativePath, oldPath: gone.relativePath, isDirectory: moved.entry.isDirectory });
+    }
+
+    for (const { relativePath, entry } of deleted) {
+      this.removeFromSnapshot(relativePath);
+      events.push({ type: 'deleted', path: relativePath, isDirectory: entry.isDirectory });
+    }
+
+    for (const { relativePath, entry } of created) {
+      if (this.snapshot.has(relativePath)) continue;
+      this.snapshot.set(relativePath, entry);
+      events.push({ type: 'created', path: relativePath, isDirectory: entry.isDirectory });
+
+      // Files moved in with a directory are not reported individually by every platform
+      if (entry.isDirectory) {
+        for (const child of await this.listChildren(relativePath)) {
+          if (this.snapshot.has(child.relativePath)) continue;
+          this.snapshot.set(child.relativePath, child.entry);
+          events.push({ type: 'created', path: child.relativePath, isDirectory: child.entry.isDirectory });
+        }
+      }
+    }
+
+    for (const { relativePath, entry } of modified) {
+      this.snapshot.set(relativePath, entry);
+      events.push({ type: 'modified', path: relativePath, isDirectory: false });
+    }
+
+    this.append(events);
+    if (events.some(event => event.isDirectory)) {
+      try {
+        this.syncDirectoryWatchers();
+      } catch (error) {
+        this.logger(`Stopped watching ${this.baseDirectory}: ${error.message}`);
+        this.stop();
+      }
+    }
+  }
+
+  /**
+   * List the entries below a directory that are not ignored
+   * @param {string} relativePath - The base-relative directory ('' for the base directory)
+   * @returns {Promise<Array<{relativePath: string, entry: Object}>>} - The entries
+   */
+  async listChildren(relativePath) {
+    const children = [];
+    const directory = path.join(this.baseDirectory, relativePath);
+    for await (const { absolutePath, relativePath: childPath } of this.fileService.walk(directory, { exclude: WATCH_EXCLUDES, gitignore: true })) {
+      const entry = await this.statEntry(absolutePath);
+      if (entry) children.push({ relativePath: childPath, entry });
+    }
+    return children;
+  }
+
+  /**
+   * Re-key a renamed path and everything below it in the snapshot
+   * @param {string} oldPath - The previous base-relative path
+   * @param {string} newPath - The new base-relative path
+   * @param {Object} entry - The renamed entry
+   */
+  moveInSnapshot(oldPath, newPath, entry) {
+    for (const [key, value] of [...this.snapshot]) {
+      if (key.startsWith(`${oldPath}/`)) {
+        this.snapshot.delete(key);
+        this.snapshot.set(newPath + key.substring(oldPath.length), value);
+      }
+    }
+    this.snapshot.delete(oldPath);
+    this.snapshot.set(newPath, entry);
+  }
+
+  /**
+   * Remove a deleted path and everything below it from the snapshot
+   * @param {string} relativePath - The base-relative path
+   */
+  removeFromSnapshot(relativePath) {
+    for (const key of [...this.snapshot.keys()]) {
+      if (key === relativePath || key.startsWith(`${relativePath}/`)) {
+        this.snapshot.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Add events to the journal, dropping the oldest beyond the limit
+   * @param {Array<Object>} events - The new events
+   */
+  append(events) {
+    const time = new Date().toISOString();
+    for (const event of events) {
+      this.events.push({ sequence: this.nextSequence++, time, ...event });
+    }
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+    if (events.length > 0) {
+      this.logger(`Recorded ${events.length} change events in ${this.baseDirectory}`);
+    }
+  }
+
+  /**
+   * Read journal events after a cursor, starting the watcher if needed
+   * @param {string} cursor - A cursor from start() or a previous call (omit to read from the oldest kept event)
+   * @param {Object} options - Read options
+   * @param {string} options.directory - Only return events at or below this base-relative directory
+   * @param {number} options.limit - Maximum number of events to return
+   * @returns {Promise<{events: Array, cursor: string, hasMore: boolean, missed: boolean, reset: boolean}>} - The events and the cursor to continue from
+   */
+  async getChanges(cursor, { directory = '', limit = 100 } = {}) {
+    const wasWatching = this.isWatching();
+    await this.start();
+
+    // Let changes that are already queued reach the journal before reading it
+    await this.flushPending();
+
+    let after = 0;
+    let reset = false;
+    if (cursor) {
+      const match = /^([0-9a-f]+):(\d+)$/.exec(cursor);
+      if (match && match[1] === this.id) {
+        after = Number(match[2]);
+      } else {
+        // The cursor came from an earlier watcher, such as one for a previous base directory
+        reset = true;
+      }
+    }
+
+    const oldest = this.events.length > 0 ? this.events[0].sequence : this.nextSequence;
+    const missed = wasWatching && !reset && after < oldest - 1;
+
+    const prefix = directory ? `${directory.replace(/\/+$/, '')}/` : '';
+    const matching = this.events.filter(event =>
+      event.sequence > after &&
+      (!prefix || `${event.path}/`.startsWith(prefix) || (event.oldPath && `${event.oldPath}/`.startsWith(prefix)))
+    );
+    const events = matching.slice(0, limit);
+    const hasMore = matching.length > limit;
+    const nextCursor = hasMore ? `${this.id}:${events[events.length - 1].sequence}` : this.currentCursor();
+
+    return { events, cursor: nextCursor, hasMore, missed, reset };
+  }
+}
@@ -0,0 +1,348 @@
+// services/workspaceService.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RootsListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { FileService } from './fileService.js';
+import { GitService } from './gitService.js';
+import { ServiceError, ErrorCode } from './serviceError.js';
+
+/**
+ * Service managing named workspace roots, each with its own file and git services
+ */
+export class WorkspaceService {
+  /**
+   * Create a new workspace service
+   * @param {Object<string, string>} roots - Root names mapped to absolute directories
+   * @param {function} logger - The logger function
+   * @param {Object} options - Workspace options
+   * @param {string} options.defaultRoot - Name of the root used when a tool omits `root`
+   * @param {Object} options.fileServiceOptions - Options passed to every FileService
+   * @param {Object} options.gitServiceOptions - Options passed to every GitService
+   * @param {PolicyService} options.policyService - Policy for directories roots may be pointed at
+   * @param {boolean} options.confined - Only allow roots to be pointed at directories inside the given roots,
+   * for example for an API key limited to some roots
+   */
+  constructor(roots, logger, { defaultRoot = 'default', fileServiceOptions = {}, gitServiceOptions = {}, policyService, confined = false } = {}) {
+    this.logger = logger;
+    this.defaultRoot = defaultRoot;
+    this.fileServiceOptions = fileServiceOptions;
+    this.gitServiceOptions = gitServiceOptions;
+    this.policyService = policyService;
+    this.confinedTo = confined ? Object.values(roots) : null;
+    this.roots = new Map();
+
+    for (const [name, rootPath] of Object.entries(roots)) {
+      this.addRoot(name, rootPath, 'config');
+    }
+
+    if (!this.roots.has(defaultRoot)) {
+      throw new Error(`Default root "${defaultRoot}" is not defined`);
+    }
+  }
+
+  /**
+   * Add a named root
+   * @param {string} name - The root name
+   * @param {string} rootPath - The absolute directory
+   * @param {string} source - Where the root came from ('config' or 'client')
+   * @returns {Object} - The root
+   */
+  addRoot(name, rootPath, source) {
+    if (!path.isAbsolute(rootPath)) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Root "${name}" must be an absolute path: ${rootPath}`);
+    }
+
+    const root = {
+      name,
+      path: rootPath,
+      source,
+      fileService: new FileService(rootPath, this.logger, this.fileServiceOptions),
+      gitService: new GitService(rootPath, this.logger, this.gitServiceOptions)
+    };
+    this.roots.set(name, root);
+    this.logger(`Registered ${source} root "${name}": ${rootPath}`);
+    return root;
+  }
+
+  /**
+   * Get a root by name
+   * @param {string} name - The root name (defaults to the default root)
+   * @returns {Object} - The root
+   */
+  getRoot(name) {
+    const root = this.roots.get(name || this.defaultRoot);
+    if (!root) {
+      throw new ServiceError(ErrorCode.NOT_FOUND, `Unknown root: ${name}. Available roots: ${[...this.roots.keys()].join(', ')}`);
+    }
+    return root;
+  }
+
+  /**
+   * Get the file service for a root
+   * @param {string} name - The root name (defaults to the default root)
+   * @returns {FileService} - The root's file service
+   */
+  getFileService(name) {
+    return this.getRoot(name).fileService;
+  }
+
+  /**
+   * Get the git service for a root
+   * @param {string} name - The root name (defaults to the default root)
+   * @returns {GitService} - The root's git service
+   */
+  getGitService(name) {
+    return this.getRoot(name).gitService;
+  }
+
+  /**
+   * Find the root holding an absolute path, preferring the innermost root when roots are nested
+   * @param {string} absolutePath - The absolute path
+   * @returns {{root: Object, relativePath: string}|null} - The root and the path relative to it, or null if no root holds it
+   */
+  findRootForPath(absolutePath) {
+    let best = null;
+    for (const root of this.roots.values()) {
+      const relativePath = path.relative(root.path, absolutePath);
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) continue;
+      if (!best || root.path.length > best.root.path.length) {
+        best = { root, relativePath: relativePath.split(path.sep).join('/') };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Point an existing root at a new directory
+   * @param {string} name - The root name (defaults to the default root)
+   * @param {string} newPath - The new absolute directory
+   * @returns {string} - The previous directory
+   */
+  setRootPath(name, newPath) {
+    const root = this.getRoot(name);
+    const oldPath = root.path;
+    root.path = newPath;
+    root.fileService.setBaseDirectory(newPath);
+    root.gitService.setBaseDirectory(newPath);
+    return oldPath;
+  }
+
+  /**
+   * Fail if the path rules would no longer protect the same files with a root pointed at a directory:
+   * a directory inside a root that a rule covers, or a directory above a root with rules containing a slash
+   * @param {string} newPath - The absolute directory
+   */
+  assertRulesStillApply(newPath) {
+    for (const root of this.roots.values()) {
+      const { permissionService } = root.fileService;
+      if (!permissionService) continue;
+
+      const relativePath = path.relative(root.path, newPath);
+      if (!relativePath || path.isAbsolute(relativePath)) continue;
+      const above = relativePath === '..' || relativePath.startsWith(`..${path.sep}`);
+      // Directories beside the root are not affected by its rules
+      if (above && path.relative(newPath, root.path).startsWith('..')) continue;
+
+      const pattern = permissionService.findRuleLostByMove(above ? '..' : relativePath.split(path.sep).join('/'));
+      if (pattern) {
+        throw permissionService.permissionError(`${newPath} is ${above ? 'above' : 'inside'} root "${root.name}", where the path rule "${pattern}" would no longer apply to the same files`);
+      }
+    }
+  }
+
+  /**
+   * Fail if the workspace is confined and a directory is not inside one of its original roots.
+   * Symbolic links are resolved, so a link inside a root cannot lead elsewhere.
+   * @param {Object} root - The root being repointed
+   * @param {string} newPath - The absolute directory
+   * @returns {Promise<void>}
+   */
+  async assertInsideConfinement(root, newPath) {
+    if (!this.confinedTo) return;
+
+    const realPath = await root.fileService.resolveRealPath(newPath);
+    for (const allowedPath of this.confinedTo) {
+      const relativePath = path.relative(await root.fileService.resolveRealPath(allowedPath), realPath);
+      if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) return;
+    }
+    throw new ServiceError(ErrorCode.PERMISSION_DENIED, `Permission denied: ${newPath} is outside the roots this session may use`);
+  }
+
+  /**
+   * Check whether a trash entry was deleted from inside one of this workspace's roots
+   * @param {Object} entry - The trash entry metadata
+   * @returns {boolean} - Whether the session may see and restore the entry
+   */
+  ownsTrashEntry(entry) {
+    return Boolean(entry.originalPath && this.findRootForPath(entry.originalPath));
+  }
+
+  /**
+   * List the trash entries deleted from this workspace's roots. The trash is shared, so sessions
+   * limited to some roots do not see what was deleted from others.
+   * @returns {Promise<Array>} - The entry metadata, newest first
+   */
+  async listTrash() {
+    const entries = await this.getFileService().listTrash();
+    return entries.filter(entry => this.ownsTrashEntry(entry));
+  }
+
+  /**
+   * Fail unless a trash entry exists and was deleted from one of this workspace's roots
+   * @param {string} id - The trash entry ID
+   * @returns {Promise<Object>} - The entry metadata
+   */
+  async getTrashEntry(id) {
+    const entry = (await this.listTrash()).find(candidate => candidate.id === id);
+    if (!entry) {
+      throw new ServiceError(ErrorCode.NOT_FOUND, `No trash entry with ID: ${id}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Decide where a trash entry is restored: to its original path in the root it was deleted from, unless a
+   * destination is given. A destination in another root must name that root explicitly.
+   * @param {string} id - The trash entry ID
+   * @param {Object} options - Restore options
+   * @param {string} options.root - The root to restore into (defaults to the root the entry was deleted from)
+   * @param {string} options.destination - Path to restore to, relative to that root
+   * @returns {Promise<{fileService: FileService, destination: string}>} - The root's file service and the path to restore to
+   */
+  async getTrashRestoreTarget(id, { root, destination } = {}) {
+    const entry = await this.getTrashEntry(id);
+    const owner = this.findRootForPath(entry.originalPath);
+    
+    if (!root || this.getRoot(root) === owner.root) {
+      return { fileService: owner.root.fileService, destination: destination || owner.relativePath };
+    }
+    if (!destination) {
+      throw new ServiceError(ErrorCode.INVALID_ARGUMENT, `Trash entry ${id} was deleted from root "${owner.root.name}". Omit root to restore it there, or pass a destination to restore it into root "${root}"`);
+    }
+    return { fileService: this.getFileService(root), destination };
+  }
+
+  /**
+   * Permanently remove trash entries deleted from this workspace's roots
+   * @param {Object} options - Which entries to remove
+   * @param {string[]} options.ids - Only remove these entries
+   * @param {number} options.olderThanDays - Only remove entries deleted more than this many days ago
+   * @returns {Promise<Array>} - Metadata of the removed entries
+   */
+  async emptyTrash({ ids, olderThanDays } = {}) {
+    const owned = (await this.listTrash()).map(entry => entry.id);
+    return this.getFileService().emptyTrash({ ids: ids ? ids.filter(id => owned.includes(id)) : owned, olderThanDays });
+  }
+
+  /**
+   * Point a root at a new directory after checking it against the base directory policy
+   * @param {string} name - The root name (defaults to the default root)
+   * @param {string} newPath - The requested absolute directory
+   * @returns {Promise<{name: string, oldPath: string, newPath: string}>} - The change that was made
+   */
+  async changeRootPath(name, newPath) {
+    const root = this.getRoot(name);
+
+    if (this.policyService) {
+      await this.policyService.checkBaseDirectory(newPath);
+    }
+    await this.assertInsideConfinement(root, newPath);
+    this.assertRulesStillApply(newPath);
+
+    // Check if the path exists or can be created
+    const dirExists = await root.fileService.ensureDirectoryExists(newPath);
+    if (!dirExists) {
+      throw new ServiceError(ErrorCode.UNAVAILABLE, `Could not create or access directory at: ${newPath}`);
+    }
+
+    const oldPath = this.setRootPath(root.name, newPath);
+    return { name: root.name, oldPath, newPath };
+  }
+
+  /**
+   * List all roots
+   * @returns {Array<{name: string, path: string, source: string, isDefault: boolean}>} - The roots
+   */
+  listRoots() {
+    return [...this.roots.values()].map(({ name, path: rootPath, source }) => ({
+      name,
+      path: rootPath,
+      source,
+      isDefault: name === this.defaultRoot
+    }));
+  }
+
+  /**
+   * Pick a root name for a client root that does not clash with existing roots
+   * @param {string} preferred - The preferred name
+   * @returns {string} - A unique name
+   */
+  uniqueRootName(preferred) {
+    const base = preferred.replace(/[^\w.-]+/g, '-') || 'root';
+    let name = base;
+    for (let i = 2; this.roots.has(name); i++) {
+      name = `${base}-${i}`;
+    }
+    return name;
+  }
+
+  /**
+   * Replace client-provided roots with the client's current roots/list
+   * @param {Server} server - The low-level MCP server
+   * @returns {Promise<void>}
+   */
+  async syncClientRoots(server) {
+    const { roots } = await server.listRoots();
+
+    for (const [name, root] of this.roots) {
+      if (root.source !== 'client') continue;
+      root.fileService.watchService.stop();
+      this.roots.delete(name);
+    }
+
+    for (const root of roots) {
+      if (!root.uri.startsWith('file://')) {
+        this.logger(`Ignoring non-file client root: ${root.uri}`);
+        continue;
+      }
+      const rootPath = fileURLToPath(root.uri);
+      try {
+        if (this.policyService) {
+          await this.policyService.checkBaseDirectory(rootPath);
+        }
+        this.assertRulesStillApply(rootPath);
+      } catch (error) {
+        this.logger(`Ignoring client root ${root.uri}: ${error.message}`);
+        continue;
+      }
+      this.addRoot(this.uniqueRootName(root.name || path.basename(rootPath)), rootPath, 'client');
+    }
+  }
+
+  /**
+   * Pick up roots from clients that support the MCP roots capability, and follow their changes
+   * @param {McpServer} mcpServer - The MCP server instance
+   */
+  registerClientRoots(mcpServer) {
+    const server = mcpServer.server;
+
+    const sync = () => {
+      if (!server.getClientCapabilities()?.roots) return;
+      this.syncClientRoots(server).catch(error => {
+        this.logger(`Error fetching client roots: ${error.message}`);
+      });
+    };
+
+    server.oninitialized = sync;
+    server.setNotificationHandler(RootsListChangedNotificationSchema, async () => sync());
+  }
+
+  /**
+   * Stop the directory watchers of every root, when the session using them ends
+   */
+  close() {
+    for (const root of this.roots.values()) {
+      root.fileService.watchService.stop();
+    }
+  }
+}
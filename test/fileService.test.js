@@ -0,0 +1,292 @@
+// test/fileService.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileService } from '../services/fileService.js';
+import { PermissionService } from '../services/permissionService.js';
+import { TrashService } from '../services/trashService.js';
+import { ServiceError, ErrorCode } from '../services/serviceError.js';
+
+const logger = () => {};
+
+/**
+ * Assert that a promise rejects with a ServiceError code
+ * @param {Promise} promise - The operation
+ * @param {string} code - The expected ErrorCode
+ */
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, error => {
+    assert.equal(ServiceError.describe(error).code, code, error.message);
+    return true;
+  });
+}
+
+describe('FileService.resolveSafePath', () => {
+  let sandbox;
+  let base;
+  let outside;
+
+  before(async () => {
+    // Resolve the temporary directory itself, which is a link on some systems (such as /tmp on macOS)
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'file-service-')));
+    base = path.join(sandbox, 'root');
+    outside = path.join(sandbox, 'outside');
+    await fs.mkdir(path.join(base, 'sub', 'inner'), { recursive: true });
+    await fs.mkdir(outside);
+    await fs.writeFile(path.join(base, 'sub', 'file.txt'), 'inside');
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'outside');
+
+    await fs.symlink(outside, path.join(base, 'escape'));
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(base, 'escape-file'));
+    await fs.symlink('sub', path.join(base, 'inside-link'));
+    await fs.symlink(path.join(outside, 'missing', 'new.txt'), path.join(base, 'dangling-outside'));
+    await fs.symlink('sub/missing.txt', path.join(base, 'dangling-inside'));
+    await fs.symlink('loop-b', path.join(base, 'loop-a'));
+    await fs.symlink('loop-a', path.join(base, 'loop-b'));
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  describe('with the follow policy', () => {
+    let service;
+
+    before(() => {
+      service = new FileService(base, logger);
+    });
+
+    test('resolves paths inside the base directory', async () => {
+      assert.equal(await service.resolveSafePath('sub/file.txt'), path.join(base, 'sub', 'file.txt'));
+      assert.equal(await service.resolveSafePath('/sub/file.txt'), path.join(base, 'sub', 'file.txt'));
+      assert.equal(await service.resolveSafePath(''), base);
+    });
+
+    test('refuses lexical traversal', async () => {
+      await rejectsWith(service.resolveSafePath('../outside/secret.txt'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('sub/../../outside'), ErrorCode.OUTSIDE_ROOT);
+    });
+
+    test('accepts Windows-style separators', async () => {
+      assert.equal(await service.resolveSafePath('sub\\file.txt'), path.join(base, 'sub', 'file.txt'));
+      assert.equal(await service.resolveSafePath('\\sub\\inner'), path.join(base, 'sub', 'inner'));
+      assert.equal(await service.resolveSafePath('sub\\inner\\..\\file.txt'), path.join(base, 'sub', 'file.txt'));
+    });
+
+    test('refuses traversal written with Windows-style separators', async () => {
+      await rejectsWith(service.resolveSafePath('..\\outside\\secret.txt'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('sub\\..\\..\\outside'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('sub/..\\..\\outside'), ErrorCode.OUTSIDE_ROOT);
+    });
+
+    test('follows links that stay inside the base directory', async () => {
+      assert.equal(await service.resolveSafePath('inside-link/file.txt'), path.join(base, 'inside-link', 'file.txt'));
+      assert.equal(await service.readFile('inside-link/file.txt').then(result => result.content), 'inside');
+    });
+
+    test('refuses links that escape the base directory', async () => {
+      await rejectsWith(service.resolveSafePath('escape'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('escape/secret.txt'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('escape-file'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.readFile('escape/secret.txt'), ErrorCode.OUTSIDE_ROOT);
+    });
+
+    test('refuses new paths below a link that escapes', async () => {
+      await rejectsWith(service.writeFile('escape/created.txt', 'x'), ErrorCode.OUTSIDE_ROOT);
+      await assert.rejects(fs.access(path.join(outside, 'created.txt')));
+    });
+
+    test('follows dangling links to decide where a file would be created', async () => {
+      await rejectsWith(service.resolveSafePath('dangling-outside'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.writeFile('dangling-outside', 'x'), ErrorCode.OUTSIDE_ROOT);
+      assert.equal(await service.resolveSafePath('dangling-inside'), path.join(base, 'dangling-inside'));
+    });
+
+    test('refuses link loops', async () => {
+      await rejectsWith(service.resolveSafePath('loop-a'), ErrorCode.INVALID_ARGUMENT);
+      await rejectsWith(service.resolveSafePath('loop-a/file.txt'), ErrorCode.INVALID_ARGUMENT);
+    });
+
+    test('works when the base directory itself is reached through a link', async () => {
+      const linkedBase = path.join(sandbox, 'linked-root');
+      await fs.symlink(base, linkedBase);
+      const linked = new FileService(linkedBase, logger);
+      assert.equal(await linked.resolveSafePath('sub/file.txt'), path.join(linkedBase, 'sub', 'file.txt'));
+      await rejectsWith(linked.resolveSafePath('escape/secret.txt'), ErrorCode.OUTSIDE_ROOT);
+    });
+  });
+
+  describe('with the refuse policy', () => {
+    let service;
+
+    before(() => {
+      service = new FileService(base, logger, { symlinkPolicy: 'refuse' });
+    });
+
+    test('resolves paths without links', async () => {
+      assert.equal(await service.resolveSafePath('sub/file.txt'), path.join(base, 'sub', 'file.txt'));
+      assert.equal(await service.resolveSafePath('sub/not-yet-created.txt'), path.join(base, 'sub', 'not-yet-created.txt'));
+    });
+
+    test('refuses links even when they stay inside the base directory', async () => {
+      await rejectsWith(service.resolveSafePath('inside-link'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('inside-link/file.txt'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('dangling-inside'), ErrorCode.OUTSIDE_ROOT);
+    });
+
+    test('refuses links that escape and link loops', async () => {
+      await rejectsWith(service.resolveSafePath('escape/secret.txt'), ErrorCode.OUTSIDE_ROOT);
+      await rejectsWith(service.resolveSafePath('loop-a'), ErrorCode.OUTSIDE_ROOT);
+    });
+
+    test('rejects an unknown policy', () => {
+      assert.throws(() => new FileService(base, logger, { symlinkPolicy: 'ignore' }), /Unknown symlink policy/);
+    });
+  });
+});
+
+describe('FileService.readFile pages', () => {
+  const pageBytes = 1024 * 1024;
+  let sandbox;
+  let service;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'file-service-pages-')));
+    // One line of three pages, with a two-byte character straddling the page limit, between two short lines
+    const long = `${'a'.repeat(pageBytes - 1)}é${'b'.repeat(2 * pageBytes)}`;
+    await fs.writeFile(path.join(sandbox, 'long-line.txt'), `first\r\n${long}\nlast\n`);
+    await fs.writeFile(path.join(sandbox, 'lines.txt'), 'one\ntwo\r\nthree');
+    await fs.writeFile(path.join(sandbox, 'long-last-line.txt'), `first\n${'b'.repeat(pageBytes)}é${'c'.repeat(pageBytes - 1)}`);
+    service = new FileService(sandbox, logger);
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('pages short lines', async () => {
+    const page = await service.readFile('lines.txt', { limit: 2 });
+    assert.equal(page.content, 'one\ntwo');
+    assert.equal(page.totalLines, 3);
+    assert.equal(page.nextCursor, 'lines:2');
+    assert.equal(page.truncated, false);
+    assert.equal((await service.readFile('lines.txt', { cursor: page.nextCursor })).content, 'three');
+    assert.equal((await service.readFile('lines.txt', { tail: true, limit: 2 })).content, 'two\nthree');
+  });
+
+  test('ends the page before a line that does not fit', async () => {
+    const page = await service.readFile('long-line.txt');
+    assert.equal(page.content, 'first');
+    assert.equal(page.nextCursor, 'lines:1');
+  });
+
+  test('cuts a line longer than the page and continues by bytes', async () => {
+    const page = await service.readFile('long-line.txt', { offset: 1 });
+    assert.equal(page.truncated, true);
+    assert.equal(page.content, 'a'.repeat(pageBytes - 1));
+    assert.equal(page.totalLines, 3);
+    assert.equal(page.nextCursor, `bytes:${'first\r\n'.length + pageBytes - 1}`);
+
+    const next = await service.readFile('long-line.txt', { cursor: page.nextCursor, limit: 4 });
+    assert.equal(next.content, 'ébb');
+  });
+
+  test('keeps only the end of a line longer than the page when reading the tail', async () => {
+    const page = await service.readFile('long-last-line.txt', { tail: true, limit: 2 });
+    assert.equal(page.truncated, true);
+    assert.equal(page.content, 'c'.repeat(pageBytes - 1));
+    assert.equal(page.start, 1);
+    assert.equal((await service.readFile('long-line.txt', { tail: true, limit: 2 })).content, 'last');
+  });
+});
+
+describe('FileService.writeFile', () => {
+  let sandbox;
+  let service;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'file-service-write-')));
+    await fs.mkdir(path.join(sandbox, 'docs'));
+    await fs.mkdir(path.join(sandbox, 'locked'));
+    await fs.writeFile(path.join(sandbox, 'docs', 'target.txt'), 'before');
+    await fs.writeFile(path.join(sandbox, 'locked', 'key.txt'), 'secret');
+    await fs.symlink('docs/target.txt', path.join(sandbox, 'link.txt'));
+    await fs.symlink('docs/created.txt', path.join(sandbox, 'dangling.txt'));
+    await fs.symlink('locked/key.txt', path.join(sandbox, 'locked-link.txt'));
+    await fs.writeFile(path.join(sandbox, 'original.txt'), 'before');
+    await fs.link(path.join(sandbox, 'original.txt'), path.join(sandbox, 'hard-link.txt'));
+
+    const permissionService = new PermissionService(logger, { pathRules: [{ pattern: 'locked', access: 'read' }] });
+    service = new FileService(sandbox, logger, { permissionService });
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('writes through a symbolic link and keeps the link', async () => {
+    await service.writeFile('link.txt', 'after');
+    assert.ok((await fs.lstat(path.join(sandbox, 'link.txt'))).isSymbolicLink());
+    assert.equal(await fs.readFile(path.join(sandbox, 'docs', 'target.txt'), 'utf8'), 'after');
+    assert.deepEqual((await fs.readdir(path.join(sandbox, 'docs'))).sort(), ['target.txt']);
+  });
+
+  test('creates the file a dangling link points to', async () => {
+    await service.writeFile('dangling.txt', 'new');
+    assert.ok((await fs.lstat(path.join(sandbox, 'dangling.txt'))).isSymbolicLink());
+    assert.equal(await fs.readFile(path.join(sandbox, 'docs', 'created.txt'), 'utf8'), 'new');
+  });
+
+  test('applies the path rules of the file a link points to', async () => {
+    await rejectsWith(service.writeFile('locked-link.txt', 'x'), ErrorCode.PERMISSION_DENIED);
+    assert.equal(await fs.readFile(path.join(sandbox, 'locked', 'key.txt'), 'utf8'), 'secret');
+  });
+
+  test('keeps hard links sharing the content', async () => {
+    await service.writeFile('hard-link.txt', 'after');
+    assert.equal(await fs.readFile(path.join(sandbox, 'original.txt'), 'utf8'), 'after');
+  });
+});
+
+describe('FileService with the built-in .git rule', () => {
+  let sandbox;
+  let base;
+  let service;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'file-service-git-')));
+    base = path.join(sandbox, 'root');
+    await fs.mkdir(path.join(base, '.git', 'hooks'), { recursive: true });
+    await fs.mkdir(path.join(base, 'vendor', 'lib', '.git'), { recursive: true });
+    await fs.writeFile(path.join(base, 'vendor', 'lib', '.git', 'config'), '[core]');
+    await fs.mkdir(path.join(base, 'payload', '.git', 'hooks'), { recursive: true });
+    await fs.writeFile(path.join(base, 'payload', '.git', 'hooks', 'post-checkout'), '#!/bin/sh');
+
+    const trashService = new TrashService(path.join(sandbox, 'trash'), logger);
+    service = new FileService(base, logger, { permissionService: new PermissionService(logger), trashService });
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('refuses writing the repository directory', async () => {
+    await rejectsWith(service.writeFile('.git/hooks/pre-commit', 'x'), ErrorCode.PERMISSION_DENIED);
+    await rejectsWith(service.copyPath('payload/.git/hooks', '.git/hooks/more'), ErrorCode.PERMISSION_DENIED);
+  });
+
+  test('moves and deletes directories holding a nested repository', async () => {
+    await service.copyPath('vendor/lib', 'vendor/copy');
+    await service.movePath('vendor/copy', 'vendor/moved');
+    await service.deleteFile('vendor/moved');
+    assert.equal(await fs.readFile(path.join(base, 'vendor', 'lib', '.git', 'config'), 'utf8'), '[core]');
+  });
+
+  test('refuses restoring a tree with its own .git onto the base directory', async () => {
+    const { id } = await service.deleteFile('payload');
+    await rejectsWith(service.restoreFromTrash(id, { destination: '', overwrite: 'overwrite', confirm: true }), ErrorCode.PERMISSION_DENIED);
+    await assert.rejects(fs.access(path.join(base, '.git', 'hooks', 'post-checkout')));
+  });
+});
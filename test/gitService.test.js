@@ -0,0 +1,148 @@
+// test/gitService.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GitService } from '../services/gitService.js';
+
+const logger = () => {};
+const gitService = new GitService(process.cwd(), logger);
+
+describe('GitService.getShellInvocation', () => {
+  test('passes arguments to bash positionally', () => {
+    const { file, args } = gitService.getShellInvocation('bash', ['log', '--grep=$(id)']);
+    assert.equal(file, 'bash');
+    assert.deepEqual(args, ['-c', 'git "$@"', 'git', 'log', '--grep=$(id)']);
+  });
+
+  test('doubles every quote PowerShell ends a single-quoted string at', () => {
+    for (const quote of ["'", '‘', '’', '‚', '‛']) {
+      const { args } = gitService.getShellInvocation('powershell', ['log', `--grep=a${quote}; calc; ${quote}`]);
+      assert.equal(args.at(-1), `& git 'log' '--grep=a${quote}${quote}; calc; ${quote}${quote}'`);
+    }
+  });
+
+  test('refuses arguments cmd would interpret', () => {
+    assert.throws(() => gitService.getShellInvocation('cmd', ['log', '--grep=%PATH%']), /cannot be passed safely through cmd/);
+  });
+});
+
+describe('GitService.getDestructiveReason', () => {
+  let repository;
+  let service;
+  const reason = command => service.getDestructiveReason(service.parseGitCommand(command));
+
+  before(async () => {
+    repository = await fs.mkdtemp(path.join(os.tmpdir(), 'git-destructive-'));
+    const git = (...args) => execFileSync('git', args, { cwd: repository, stdio: 'pipe' });
+    git('init', '-q', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    await fs.mkdir(path.join(repository, 'src'));
+    for (let i = 1; i <= 2; i++) {
+      await fs.writeFile(path.join(repository, 'src', 'a.js'), `${i}\n`);
+      await fs.writeFile(path.join(repository, 'README.md'), `${i}\n`);
+      git('add', '.');
+      git('commit', '-q', '-m', `Commit ${i}`);
+    }
+    git('branch', 'feature/x');
+    service = new GitService(repository, logger);
+  });
+
+  after(async () => {
+    await fs.rm(repository, { recursive: true, force: true });
+  });
+
+  test('lets checkout switch branches unconfirmed', async () => {
+    assert.equal(await reason('checkout main'), null);
+    assert.equal(await reason('checkout feature/x'), null);
+    assert.equal(await reason('checkout HEAD~1'), null);
+    assert.equal(await reason('checkout -b topic HEAD~1'), null);
+    assert.equal(await reason('checkout --detach'), null);
+  });
+
+  test('flags checkout of paths', async () => {
+    assert.match(await reason('checkout .'), /discards working tree changes/);
+    assert.match(await reason('checkout ./src'), /discards working tree changes/);
+    assert.match(await reason('checkout src/a.js'), /discards working tree changes/);
+    assert.match(await reason('checkout README.md'), /discards working tree changes/);
+    assert.match(await reason('checkout --ours src/a.js'), /discards working tree changes/);
+    assert.match(await reason('checkout --theirs src/a.js'), /discards working tree changes/);
+    assert.match(await reason('checkout HEAD~1 src'), /discards working tree changes/);
+    assert.match(await reason('checkout main -- src/a.js'), /discards working tree changes/);
+    assert.match(await reason('checkout -f main'), /discards working tree changes/);
+  });
+
+  test('flags rm unless it only touches the index', async () => {
+    assert.match(await reason('rm src/a.js'), /deletes files/);
+    assert.match(await reason('rm -r src'), /deletes files/);
+    assert.equal(await reason('rm --cached src/a.js'), null);
+    assert.equal(await reason('rm -n src/a.js'), null);
+  });
+
+  test('flags hard resets and force pushes', async () => {
+    assert.match(await reason('reset --hard HEAD~1'), /discards uncommitted changes/);
+    assert.equal(await reason('reset HEAD~1'), null);
+    assert.match(await reason('push --force origin main'), /force pushes/);
+  });
+});
+
+describe('GitService output limit', () => {
+  let repository;
+  let limited;
+
+  before(async () => {
+    repository = await fs.mkdtemp(path.join(os.tmpdir(), 'git-service-'));
+    const git = (...args) => execFileSync('git', args, { cwd: repository, stdio: 'pipe' });
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    for (let i = 1; i <= 10; i++) {
+      await fs.writeFile(path.join(repository, `file-${i}.txt`), `${'line\n'.repeat(i * 5)}`);
+      git('add', '.');
+      git('commit', '-q', '-m', `Commit ${i}`);
+    }
+    for (let i = 1; i <= 40; i++) {
+      await fs.writeFile(path.join(repository, `untracked-${String(i).padStart(2, '0')}.txt`), 'x');
+    }
+    limited = new GitService(repository, logger, { maxOutputBytes: 700 });
+  });
+
+  after(async () => {
+    await fs.rm(repository, { recursive: true, force: true });
+  });
+
+  test('returns the complete commits of a truncated log page', async () => {
+    const page = await limited.getLog({ limit: 10 });
+    assert.equal(page.truncated, true);
+    assert.ok(page.commits.length > 0 && page.commits.length < 10);
+    assert.ok(page.commits.every(commit => /^[0-9a-f]{40}$/.test(commit.hash) && commit.subject.startsWith('Commit')));
+    assert.equal(page.hasMore, true);
+    assert.equal(page.nextSkip, page.commits.length);
+    
+    const next = await limited.getLog({ limit: 10, skip: page.nextSkip });
+    assert.notEqual(next.commits[0].hash, page.commits.at(-1).hash);
+  });
+
+  test('drops the line a truncated blame cut through', async () => {
+    const blame = await limited.getBlame('file-10.txt');
+    assert.equal(blame.truncated, true);
+    assert.ok(blame.lines.length > 0 && blame.lines.length < 50);
+    assert.ok(blame.lines.every(line => line.content === 'line'));
+  });
+
+  test('drops the record a truncated status cut through', async () => {
+    const status = await limited.getStatus();
+    assert.equal(status.truncated, true);
+    assert.ok(status.untracked.length > 0 && status.untracked.length < 40);
+    assert.ok(status.untracked.every(file => /^untracked-\d\d\.txt$/.test(file)));
+  });
+
+  test('reports complete output as not truncated', async () => {
+    const unlimited = new GitService(repository, logger);
+    assert.equal((await unlimited.getLog({ limit: 10 })).truncated, false);
+    assert.equal((await unlimited.getStatus()).untracked.length, 40);
+  });
+});
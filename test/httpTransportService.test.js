@@ -0,0 +1,59 @@
+// test/httpTransportService.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpTransportService } from '../services/httpTransportService.js';
+
+const logger = () => {};
+
+/**
+ * Run the Host and Origin check on a request with the given headers
+ * @param {HttpTransportService} service - The service
+ * @param {Object} headers - The request headers
+ * @returns {number|null} - The status of the refusal, or null when the request may proceed
+ */
+function check(service, headers) {
+  let status = null;
+  const req = { method: 'POST', url: '/mcp', headers, socket: { remoteAddress: '127.0.0.1' } };
+  const res = { writeHead: code => { status = code; }, end: () => {} };
+  return service.checkHostAndOrigin(req, res) ? null : status;
+}
+
+describe('HttpTransportService.checkHostAndOrigin', () => {
+  const service = new HttpTransportService(() => {}, logger, {
+    host: '127.0.0.1',
+    port: 3000,
+    allowedHosts: ['mcp.example.com', 'proxy.example.com:8443'],
+    allowedOrigins: ['https://app.example.com']
+  });
+
+  test('accepts loopback and configured hosts', () => {
+    assert.equal(check(service, { host: 'localhost:3000' }), null);
+    assert.equal(check(service, { host: '127.0.0.1:3000' }), null);
+    assert.equal(check(service, { host: '[::1]:3000' }), null);
+    assert.equal(check(service, { host: 'MCP.example.com' }), null);
+    assert.equal(check(service, { host: 'proxy.example.com:8443' }), null);
+  });
+
+  test('refuses other hosts, as sent after DNS rebinding', () => {
+    assert.equal(check(service, { host: 'attacker.example:3000' }), 403);
+    assert.equal(check(service, { host: 'proxy.example.com:9000' }), 403);
+    assert.equal(check(service, { host: 'localhost.attacker.example' }), 403);
+    assert.equal(check(service, {}), 403);
+  });
+
+  test('accepts requests without an Origin and origins of allowed hosts', () => {
+    assert.equal(check(service, { host: 'localhost:3000', origin: 'http://localhost:3000' }), null);
+    assert.equal(check(service, { host: 'localhost:3000', origin: 'https://app.example.com' }), null);
+  });
+
+  test('refuses foreign and opaque origins', () => {
+    assert.equal(check(service, { host: 'localhost:3000', origin: 'http://attacker.example' }), 403);
+    assert.equal(check(service, { host: 'localhost:3000', origin: 'https://app.example.com.attacker.example' }), 403);
+    assert.equal(check(service, { host: 'localhost:3000', origin: 'null' }), 403);
+  });
+
+  test('rejects invalid allowed hosts and origins', () => {
+    assert.throws(() => new HttpTransportService(() => {}, logger, { allowedHosts: ['::1'] }), /Invalid allowed host/);
+    assert.throws(() => new HttpTransportService(() => {}, logger, { allowedOrigins: ['app.example.com'] }), /Invalid allowed origin/);
+  });
+});
@@ -0,0 +1,59 @@
+// test/watchService.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileService } from '../services/fileService.js';
+import { ErrorCode } from '../services/serviceError.js';
+
+const logger = () => {};
+const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+
+describe('WatchService', () => {
+  let sandbox;
+  let watchService;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'watch-service-')));
+    for (const directory of ['src/lib', 'node_modules/pkg/deep', '.git/objects', 'build']) {
+      await fs.mkdir(path.join(sandbox, directory), { recursive: true });
+    }
+    await fs.writeFile(path.join(sandbox, '.gitignore'), 'build/\n');
+    watchService = new FileService(sandbox, logger, { watchOptions: { debounceMs: 50 } }).watchService;
+  });
+
+  after(async () => {
+    watchService.stop();
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('records changes in directories created while watching', async () => {
+    const cursor = await watchService.start();
+    await fs.mkdir(path.join(sandbox, 'src', 'new', 'inner'), { recursive: true });
+    await settle();
+    await fs.writeFile(path.join(sandbox, 'src', 'new', 'inner', 'a.txt'), 'a');
+    await fs.writeFile(path.join(sandbox, 'node_modules', 'pkg', 'b.txt'), 'b');
+    await settle();
+
+    const { events } = await watchService.getChanges(cursor);
+    assert.deepEqual(events.map(event => `${event.type} ${event.path}`), [
+      'created src/new',
+      'created src/new/inner',
+      'created src/new/inner/a.txt'
+    ]);
+  });
+
+  test('does not watch excluded or gitignored directories on Linux', { skip: process.platform !== 'linux' }, async () => {
+    await watchService.start();
+    const watched = [...watchService.watchers.keys()];
+    assert.ok(watched.includes('src/lib'));
+    assert.ok(watched.every(directory => !/^(node_modules|\.git|build)(\/|$)/.test(directory)));
+  });
+
+  test('reports running out of watches as unavailable', () => {
+    const error = watchService.describeWatchError(Object.assign(new Error('watch failed'), { code: 'ENOSPC' }));
+    assert.equal(error.code, ErrorCode.UNAVAILABLE);
+    assert.match(error.message, /ran out of file watches/);
+  });
+});
@@ -0,0 +1,97 @@
+// test/workspaceService.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WorkspaceService } from '../services/workspaceService.js';
+import { TrashService } from '../services/trashService.js';
+import { ErrorCode } from '../services/serviceError.js';
+
+const logger = () => {};
+
+describe('WorkspaceService limited to some roots', () => {
+  let sandbox;
+  let trashService;
+  let everything;
+  let onlyA;
+  let deletedFromA;
+  let deletedFromB;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-service-')));
+    for (const directory of ['a/sub', 'b', 'trash']) {
+      await fs.mkdir(path.join(sandbox, directory), { recursive: true });
+    }
+    await fs.writeFile(path.join(sandbox, 'a', 'x.txt'), 'a');
+    await fs.writeFile(path.join(sandbox, 'b', 'y.txt'), 'b');
+    await fs.symlink(path.join(sandbox, 'b'), path.join(sandbox, 'a', 'link-to-b'));
+
+    trashService = new TrashService(path.join(sandbox, 'trash'), logger);
+    const roots = { a: path.join(sandbox, 'a'), b: path.join(sandbox, 'b') };
+    everything = new WorkspaceService(roots, logger, { defaultRoot: 'a', fileServiceOptions: { trashService } });
+    onlyA = new WorkspaceService({ a: roots.a }, logger, { defaultRoot: 'a', confined: true, fileServiceOptions: { trashService } });
+
+    deletedFromA = await everything.getFileService('a').deleteFile('x.txt');
+    deletedFromB = await everything.getFileService('b').deleteFile('y.txt');
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('only lists trash entries deleted from its roots', async () => {
+    assert.deepEqual((await onlyA.listTrash()).map(entry => entry.id), [deletedFromA.id]);
+    assert.equal((await everything.listTrash()).length, 2);
+  });
+
+  test('cannot restore or empty entries deleted from other roots', async () => {
+    await assert.rejects(onlyA.getTrashEntry(deletedFromB.id), { code: ErrorCode.NOT_FOUND });
+    assert.deepEqual(await onlyA.emptyTrash({ ids: [deletedFromB.id] }), []);
+    assert.equal((await trashService.get(deletedFromB.id)).id, deletedFromB.id);
+  });
+
+  test('only points roots at directories inside its roots', async () => {
+    await onlyA.changeRootPath('a', path.join(sandbox, 'a', 'sub'));
+    await onlyA.changeRootPath('a', path.join(sandbox, 'a'));
+    await assert.rejects(onlyA.changeRootPath('a', path.join(sandbox, 'b')), { code: ErrorCode.PERMISSION_DENIED });
+    await assert.rejects(onlyA.changeRootPath('a', path.join(sandbox, 'a', 'link-to-b')), { code: ErrorCode.PERMISSION_DENIED });
+    await assert.rejects(onlyA.changeRootPath('a', sandbox), { code: ErrorCode.PERMISSION_DENIED });
+  });
+});
+
+describe('WorkspaceService.getTrashRestoreTarget', () => {
+  let sandbox;
+  let workspace;
+  let deletedFromB;
+
+  before(async () => {
+    sandbox = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-restore-')));
+    for (const directory of ['a', 'b/sub', 'trash']) {
+      await fs.mkdir(path.join(sandbox, directory), { recursive: true });
+    }
+    await fs.writeFile(path.join(sandbox, 'b', 'sub', 'y.txt'), 'b');
+
+    const fileServiceOptions = { trashService: new TrashService(path.join(sandbox, 'trash'), logger) };
+    workspace = new WorkspaceService({ a: path.join(sandbox, 'a'), b: path.join(sandbox, 'b') }, logger, { defaultRoot: 'a', fileServiceOptions });
+    deletedFromB = await workspace.getFileService('b').deleteFile('sub/y.txt');
+  });
+
+  after(async () => {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  });
+
+  test('restores to the root the entry was deleted from by default', async () => {
+    const target = await workspace.getTrashRestoreTarget(deletedFromB.id);
+    assert.equal(target.fileService, workspace.getFileService('b'));
+    assert.equal(target.destination, 'sub/y.txt');
+    assert.equal((await workspace.getTrashRestoreTarget(deletedFromB.id, { root: 'b' })).fileService, workspace.getFileService('b'));
+  });
+
+  test('only restores into another root with an explicit destination', async () => {
+    await assert.rejects(workspace.getTrashRestoreTarget(deletedFromB.id, { root: 'a' }), { code: ErrorCode.INVALID_ARGUMENT });
+    const target = await workspace.getTrashRestoreTarget(deletedFromB.id, { root: 'a', destination: 'copy.txt' });
+    assert.equal(target.fileService, workspace.getFileService('a'));
+    assert.equal(target.destination, 'copy.txt');
+  });
+});